@@ -0,0 +1,55 @@
+/**
+ * Atom-only feeds
+ *
+ * Parsed directly rather than through rss-parser so entries use their
+ * rel="alternate" link (not the first <link>, which is often "self" or
+ * "replies") and fall back from <published> to <updated>.
+ */
+
+import { normalizeDate } from '../pub-dates.js';
+import { decodeEntities } from '../extract-article.js';
+
+export const requiredFields = ['url'];
+
+// Text content of the first matching element, with CDATA and markup removed
+function elementText(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)<\\/${tag}>`, 'i'));
+  if (!match) return '';
+  const inner = match[1].replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1');
+  // Atom text constructs can hold escaped HTML - decode, then strip tags
+  return decodeEntities(decodeEntities(inner).replace(/<[^>]+>/g, ' '))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function entryLink(entry) {
+  const links = [...entry.matchAll(/<link\b([^>]*)\/?>/gi)].map(([, attrs]) => ({
+    rel: attrs.match(/\brel\s*=\s*["']([^"']*)["']/i)?.[1] || 'alternate',
+    href: attrs.match(/\bhref\s*=\s*["']([^"']*)["']/i)?.[1] || ''
+  }));
+  const alternate = links.find(l => l.rel === 'alternate' && l.href) || links.find(l => l.href);
+  return alternate ? decodeEntities(alternate.href) : '';
+}
+
+export function parse(body, source) {
+  const entries = body.match(/<entry\b[\s\S]*?<\/entry>/gi) || [];
+  return entries.map(entry => {
+    const link = entryLink(entry);
+    return {
+      title: elementText(entry, 'title'),
+      link,
+      description: elementText(entry, 'summary') || elementText(entry, 'content'),
+      pubDate: normalizeDate(elementText(entry, 'published') || elementText(entry, 'updated')),
+      source: source.name,
+      sourceId: source.id,
+      sourceUrl: link,
+      category: source.category,
+      author: elementText(entry, 'name') || undefined,
+    };
+  });
+}
+
+export async function fetchItems(source, { fetchBody }) {
+  const { body, status, notModified } = await fetchBody(source.id, source.url);
+  return { items: parse(body, source).slice(0, source.limit), status, notModified };
+}
@@ -0,0 +1,79 @@
+/**
+ * Local "press release inbox" folder
+ *
+ * Drop files into the folder named by the source's path (relative to the repo root):
+ *   - .json  one release or an array of them: { title, link, description, pubDate, body }
+ *   - .md / .txt  first line is the title; optional "Link:" and "Date:" lines follow;
+ *     everything after the first blank line is the release text
+ * Releases without a date use the file's modification time.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { normalizeDate } from '../pub-dates.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+export const requiredFields = ['path'];
+
+// Description is a short summary; the full release text doubles as sourceText
+const DESCRIPTION_LENGTH = 500;
+
+function toArticle(release, source, fallbackDate) {
+  const body = (release.body || release.description || '').trim();
+  return {
+    title: (release.title || '').trim(),
+    link: release.link || '',
+    description: release.description || body.slice(0, DESCRIPTION_LENGTH),
+    pubDate: normalizeDate(release.pubDate) || fallbackDate,
+    source: release.source || source.name,
+    sourceId: source.id,
+    sourceUrl: release.link || '',
+    category: release.category || source.category,
+    ...(body && { sourceText: body })
+  };
+}
+
+// Parse a text/markdown release: title line, optional "Key: value" header lines, blank line, body
+function parseTextRelease(text) {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  const release = { title: lines.shift().replace(/^#+\s*/, '') };
+  while (lines.length && /^\w+:\s/.test(lines[0])) {
+    const [, key, value] = lines.shift().match(/^(\w+):\s*(.*)$/);
+    release[key.toLowerCase() === 'date' ? 'pubDate' : key.toLowerCase()] = value.trim();
+  }
+  release.body = lines.join('\n').trim();
+  return release;
+}
+
+/**
+ * Parse one inbox file's contents. `name` decides the format.
+ */
+export function parse(body, source, name = 'release.json', fallbackDate = null) {
+  if (name.endsWith('.json')) {
+    const data = JSON.parse(body);
+    return (Array.isArray(data) ? data : [data]).map(release => toArticle(release, source, fallbackDate));
+  }
+  return [toArticle(parseTextRelease(body), source, fallbackDate)];
+}
+
+export async function fetchItems(source) {
+  const folder = path.resolve(ROOT_DIR, source.path);
+  if (!fs.existsSync(folder)) {
+    return { skipped: `inbox folder ${source.path} does not exist` };
+  }
+
+  const items = [];
+  for (const name of fs.readdirSync(folder).filter(n => /\.(json|md|txt)$/.test(n)).sort()) {
+    const filePath = path.join(folder, name);
+    const modified = fs.statSync(filePath).mtime.toISOString();
+    try {
+      items.push(...parse(fs.readFileSync(filePath, 'utf8'), source, name, modified));
+    } catch (error) {
+      console.error(`  Could not read ${name}: ${error.message}`);
+    }
+  }
+  return { items: items.filter(item => item.title).slice(0, source.limit), status: null, notModified: false };
+}
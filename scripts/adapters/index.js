@@ -0,0 +1,60 @@
+/**
+ * Source adapters
+ *
+ * Each adapter turns a configured source into normalized raw articles:
+ *   { title, link, description, pubDate, source, sourceId, sourceUrl, category, ... }
+ *
+ * An adapter module exports:
+ *   requiredFields            - config fields the source must set (checked by `sources validate`)
+ *   parse(body, source)       - turn a response body into articles (pure, so it can be run on a saved fixture)
+ *   fetchItems(source, ctx)   - fetch, parse and apply the source's limit;
+ *                               returns { items, status, notModified } or { skipped: 'reason' }
+ *
+ * ctx.fetchBody(key, url, { headers }) fetches through the feed cache (or replays it).
+ * Scoring, filtering, health tracking and any state on disk (such as the
+ * NewsAPI query stats, passed in as ctx.newsapiStats) belong to fetch-news.js:
+ * adapters only fetch and return items.
+ *
+ * Try an adapter against a saved response:
+ *   node scripts/adapters/index.js jsonfeed feed.json
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as rss from './rss.js';
+import * as atom from './atom.js';
+import * as jsonfeed from './json-feed.js';
+import * as reddit from './reddit.js';
+import * as newsapi from './newsapi.js';
+import * as inbox from './inbox.js';
+
+const ADAPTERS = { rss, atom, jsonfeed, reddit, newsapi, inbox };
+
+export const ADAPTER_TYPES = Object.keys(ADAPTERS);
+
+export function getAdapter(type) {
+  const adapter = ADAPTERS[type];
+  if (!adapter) {
+    throw new Error(`Unknown source type "${type}" (expected one of ${ADAPTER_TYPES.join(', ')})`);
+  }
+  return adapter;
+}
+
+// Run if called directly
+const isMainModule = process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1];
+if (isMainModule) {
+  const [type, file] = process.argv.slice(2);
+  if (!type || !file) {
+    console.error(`Usage: node scripts/adapters/index.js <${ADAPTER_TYPES.join('|')}> <saved-response-file>`);
+    process.exit(1);
+  }
+
+  const source = { id: 'fixture', name: 'Fixture', url: 'https://example.com/', category: 'general' };
+  Promise.resolve(getAdapter(type).parse(fs.readFileSync(file, 'utf8'), source, path.basename(file)))
+    .then(items => console.log(JSON.stringify(items, null, 2)))
+    .catch(err => {
+      console.error(err);
+      process.exit(1);
+    });
+}
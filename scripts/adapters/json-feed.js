@@ -0,0 +1,39 @@
+/**
+ * JSON Feed (https://jsonfeed.org, versions 1 and 1.1)
+ */
+
+import { normalizeDate } from '../pub-dates.js';
+import { decodeEntities } from '../extract-article.js';
+
+export const requiredFields = ['url'];
+
+// content_html holds markup - keep plain text only
+function toPlainText(html) {
+  return decodeEntities((html || '').replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+export function parse(body, source) {
+  const feed = JSON.parse(body);
+  return (feed.items || []).map(item => {
+    const link = item.url || item.external_url || '';
+    return {
+      // Titles and summaries are meant to be plain text, but publishers often leave entities in them
+      title: decodeEntities(item.title || ''),
+      link,
+      description: item.summary || item.content_text
+        ? decodeEntities(item.summary || item.content_text)
+        : toPlainText(item.content_html),
+      pubDate: normalizeDate(item.date_published || item.date_modified),
+      source: source.name,
+      sourceId: source.id,
+      sourceUrl: link,
+      category: source.category,
+      author: (item.authors || [item.author]).filter(Boolean).map(a => a.name).join(', ') || undefined,
+    };
+  });
+}
+
+export async function fetchItems(source, { fetchBody }) {
+  const { body, status, notModified } = await fetchBody(source.id, source.url);
+  return { items: parse(body, source).slice(0, source.limit), status, notModified };
+}
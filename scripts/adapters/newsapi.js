@@ -0,0 +1,152 @@
+/**
+ * NewsAPI (https://newsapi.org) "everything" search
+ *
+ * The source lists its queries, each with a category (queries without one use the source's):
+ *   { "type": "newsapi", "url": "https://newsapi.org/v2/everything",
+ *     "queries": [{ "q": "species recovery", "category": "wildlife" }] }
+ * The API key is read from the environment variable named by apiKeyEnv (NEWS_API_KEY by default),
+ * and NEWS_API_URL overrides the endpoint (e.g. to point at scripts/mock-newsapi.js).
+ *
+ * limit is the page size. Which queries run and how many pages each gets is
+ * decided by scripts/newsapi-planner.js within dailyRequestBudget requests a
+ * day; maxPages caps the pages per query (a query can set its own maxPages,
+ * or "enabled": false). fetch-news.js loads the query stats the plan is made
+ * from and passes them in as ctx.newsapiStats; requests are recorded on them
+ * and fetch-news.js saves them. Without stats (replays) every query is
+ * planned with no budget limit.
+ */
+
+import { normalizeDate } from '../pub-dates.js';
+import {
+  planQueries,
+  recordQueryRequest,
+  remainingBudget,
+  DEFAULT_DAILY_BUDGET
+} from '../newsapi-planner.js';
+
+export const requiredFields = ['url', 'queries'];
+
+export function parse(body, source) {
+  const data = JSON.parse(body);
+  if (data.status === 'error') {
+    throw new Error(data.message || data.code);
+  }
+
+  return (data.articles || [])
+    // Skip articles with [Removed] content (NewsAPI limitation)
+    .filter(item => item.title !== '[Removed]' && item.description !== '[Removed]')
+    .map(item => ({
+      title: item.title || '',
+      link: item.url || '',
+      description: item.description || '',
+      pubDate: normalizeDate(item.publishedAt),
+      source: item.source?.name || 'NewsAPI',
+      sourceId: source.id,
+      sourceUrl: item.url,
+      category: source.category,
+      author: item.author,
+    }));
+}
+
+// Fetch one page of a query. Returns { items, totalResults, status }.
+async function fetchPage(source, query, page, { fetchBody, apiKey }) {
+  const params = new URLSearchParams({
+    q: query.q,
+    sortBy: 'publishedAt',
+    pageSize: String(source.limit),
+    page: String(page),
+    language: 'en'
+  });
+  const url = `${process.env.NEWS_API_URL || source.url}?${params}`;
+  const key = page === 1 ? `newsapi-${query.q}` : `newsapi-${query.q}-p${page}`;
+
+  // API key goes in a header so it never lands in the feed cache
+  const response = await fetchBody(key, url, { headers: { 'X-Api-Key': apiKey } });
+  const items = parse(response.body, { ...source, category: query.category || source.category })
+    .map(item => ({ ...item, newsapiQuery: query.q }));
+  const totalResults = JSON.parse(response.body).totalResults || 0;
+  return { items, totalResults, status: response.status };
+}
+
+export async function fetchItems(source, { fetchBody, replayDate, newsapiStats = null }) {
+  const apiKey = process.env[source.apiKeyEnv || 'NEWS_API_KEY'];
+  if (!apiKey && !replayDate) {
+    return { skipped: `${source.apiKeyEnv || 'NEWS_API_KEY'} not set` };
+  }
+
+  // Replays read whatever pages were cached that day and leave the stats and budget alone
+  const stats = replayDate ? null : newsapiStats;
+  const plan = planQueries(source.queries, stats || { queries: {} }, { maxPages: source.maxPages });
+  const budget = source.dailyRequestBudget ?? DEFAULT_DAILY_BUDGET;
+  let remaining = stats ? remainingBudget(stats, budget) : Infinity;
+  if (remaining === 0) {
+    return { skipped: `daily budget of ${budget} requests used up` };
+  }
+
+  const items = [];
+  const errors = [];
+  let status = null;
+  let requests = 0;
+  const progress = new Map(plan.map(query => [query.q, { page: 0, totalResults: 0, done: false }]));
+
+  // Fetch a query's next page. Returns false once the query has nothing more to give.
+  async function fetchNext(query) {
+    const state = progress.get(query.q);
+    const page = state.page + 1;
+    if (state.done || page > query.maxPages || (page > 1 && state.totalResults <= state.page * source.limit)) {
+      state.done = true;
+      return false;
+    }
+
+    try {
+      console.log(`  Query: ${query.q}${page > 1 ? ` (page ${page})` : ''}...`);
+      const result = await fetchPage(source, query, page, { fetchBody, apiKey });
+      items.push(...result.items);
+      status = result.status;
+      state.page = page;
+      state.totalResults = result.totalResults;
+      state.done = result.items.length === 0;
+      if (stats) {
+        recordQueryRequest(stats, query.q, { fetched: result.items.length, totalResults: result.totalResults });
+      }
+    } catch (error) {
+      state.done = true;
+      // A replay simply runs out of cached pages
+      if (replayDate) return false;
+
+      if (stats) {
+        recordQueryRequest(stats, query.q, { fetched: 0, totalResults: 0 });
+      }
+      // 426: paged past the results the plan allows - not a failure
+      if (error.status !== 426) {
+        console.error(`  Error fetching NewsAPI (${query.q}): ${error.message}`);
+        errors.push(error.message);
+      }
+      // 429: rate limited, nothing else will get through today
+      if (error.status === 429) remaining = 0;
+    }
+
+    requests++;
+    remaining--;
+    return !state.done;
+  }
+
+  // First pages in score order, then further pages for the best queries while budget remains
+  for (const query of plan) {
+    if (remaining <= 0) break;
+    await fetchNext(query);
+  }
+  for (const query of plan) {
+    while (remaining > 0 && await fetchNext(query));
+  }
+
+  if (stats) {
+    console.log(`  ${requests} requests, ${remainingBudget(stats, budget)} of ${budget} left today`);
+  }
+
+  // Only a failure if every request failed
+  if (requests > 0 && errors.length === requests) {
+    throw new Error(errors[errors.length - 1]);
+  }
+  return { items, status, notModified: false };
+}
@@ -0,0 +1,34 @@
+/**
+ * Reddit-style JSON listings, e.g. https://www.reddit.com/r/UpliftingNews/top.json?t=day
+ *
+ * Link posts point at the outlet's story; self posts, stickied and NSFW
+ * posts are skipped. Set minScore on the source to ignore low-voted posts.
+ */
+
+export const requiredFields = ['url'];
+
+export function parse(body, source) {
+  const listing = JSON.parse(body);
+  const minScore = source.minScore || 0;
+
+  return (listing.data?.children || [])
+    .map(child => child.data || {})
+    .filter(post => !post.is_self && !post.stickied && !post.over_18 && post.url)
+    .filter(post => (post.score || 0) >= minScore)
+    .map(post => ({
+      title: post.title || '',
+      link: post.url,
+      description: post.selftext || '',
+      pubDate: post.created_utc ? new Date(post.created_utc * 1000).toISOString() : null,
+      source: source.name,
+      sourceId: source.id,
+      sourceUrl: post.url,
+      category: source.category,
+      outletDomain: post.domain,
+    }));
+}
+
+export async function fetchItems(source, { fetchBody }) {
+  const { body, status, notModified } = await fetchBody(source.id, source.url);
+  return { items: parse(body, source).slice(0, source.limit), status, notModified };
+}
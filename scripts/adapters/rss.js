@@ -0,0 +1,29 @@
+/**
+ * RSS 2.0 feeds (rss-parser also copes with RSS 1.0 and most Atom feeds)
+ */
+
+import Parser from 'rss-parser';
+import { normalizeDate } from '../pub-dates.js';
+
+const parser = new Parser();
+
+export const requiredFields = ['url'];
+
+export async function parse(body, source) {
+  const result = await parser.parseString(body);
+  return result.items.map(item => ({
+    title: item.title || '',
+    link: item.link || '',
+    description: item.contentSnippet || item.content || item.description || '',
+    pubDate: normalizeDate(item.isoDate || item.pubDate),
+    source: source.name,
+    sourceId: source.id,
+    sourceUrl: item.link,
+    category: source.category,
+  }));
+}
+
+export async function fetchItems(source, { fetchBody }) {
+  const { body, status, notModified } = await fetchBody(source.id, source.url);
+  return { items: (await parse(body, source)).slice(0, source.limit), status, notModified };
+}
@@ -0,0 +1,135 @@
+/**
+ * Author personas from config/authors.json
+ *
+ * Each persona has an id (also its page: authors/<id>.html), a display name,
+ * a short bio, an avatar (an image path or URL, or an emoji) and beats - the
+ * categories they write for. Names and ids are unique, so a byline always
+ * means the same persona.
+ *
+ * An article's author is picked from the personas on its category's beat,
+ * seeded by its slug: re-curating a story gives it the same byline. The pick
+ * uses rendezvous hashing (highest hash of slug + persona id wins), so adding
+ * or removing a persona only changes the bylines that persona gains or loses.
+ *
+ * List the personas and check the file:
+ *   node scripts/author-registry.js
+ * See who would write a story:
+ *   node scripts/author-registry.js <slug> <category>
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { ARTICLE_CATEGORIES } from './llm-schemas.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const AUTHORS_PATH = path.join(__dirname, '..', 'config', 'authors.json');
+
+// Authors with a beat are preferred; this is who writes for a category nobody covers
+const FALLBACK_CATEGORY = 'people';
+
+export function loadAuthors(configPath = AUTHORS_PATH) {
+  if (!fs.existsSync(configPath)) return [];
+  return JSON.parse(fs.readFileSync(configPath, 'utf8')).authors || [];
+}
+
+// Check every persona for missing or bad fields. Returns a list of problems.
+export function validateAuthors(authors) {
+  const problems = [];
+  const ids = new Set();
+  const names = new Set();
+
+  authors.forEach((author, i) => {
+    const label = author.id || author.name || `#${i + 1}`;
+
+    if (!author.id) problems.push(`${label}: missing id`);
+    else if (!/^[a-z0-9-]+$/.test(author.id)) problems.push(`${label}: id must be lowercase letters, numbers and dashes`);
+    if (!author.name) problems.push(`${label}: missing name`);
+    if (!author.bio) problems.push(`${label}: missing bio`);
+    if (!author.avatar) problems.push(`${label}: missing avatar`);
+    if (!Array.isArray(author.beats) || author.beats.length === 0) {
+      problems.push(`${label}: beats must list at least one category`);
+    } else {
+      for (const beat of author.beats) {
+        if (!ARTICLE_CATEGORIES.includes(beat)) {
+          problems.push(`${label}: unknown beat "${beat}" (expected one of ${ARTICLE_CATEGORIES.join(', ')})`);
+        }
+      }
+    }
+
+    if (author.id && ids.has(author.id)) problems.push(`${label}: duplicate id`);
+    if (author.name && names.has(author.name)) problems.push(`${label}: duplicate name "${author.name}"`);
+    ids.add(author.id);
+    names.add(author.name);
+  });
+
+  for (const category of ARTICLE_CATEGORIES) {
+    if (!authors.some(author => author.beats?.includes(category))) {
+      problems.push(`No author covers ${category}`);
+    }
+  }
+
+  return problems;
+}
+
+function rendezvousWeight(slug, author) {
+  return crypto.createHash('sha1').update(`${slug}:${author.id}`).digest().readUInt32BE(0);
+}
+
+/**
+ * The persona who writes an article: stable for a given slug and category.
+ * Returns null if the registry is empty.
+ */
+export function assignAuthor(slug, category, authors = loadAuthors()) {
+  const onBeat = (beat) => authors.filter(author => author.beats.includes(beat));
+  const pool = [onBeat(category), onBeat(FALLBACK_CATEGORY), authors].find(candidates => candidates.length > 0) || [];
+  let best = null;
+  let bestWeight = -1;
+  for (const author of pool) {
+    const weight = rendezvousWeight(slug, author);
+    if (weight > bestWeight) {
+      best = author;
+      bestWeight = weight;
+    }
+  }
+  return best;
+}
+
+/**
+ * The persona behind an article: by authorId, or by byline for articles
+ * published before authors had ids. Returns undefined for unknown bylines.
+ */
+export function findAuthor(article, authors = loadAuthors()) {
+  if (article.authorId) {
+    const byId = authors.find(author => author.id === article.authorId);
+    if (byId) return byId;
+  }
+  return authors.find(author => author.name === article.author);
+}
+
+// Run if called directly
+const isMainModule = process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1];
+if (isMainModule) {
+  const authors = loadAuthors();
+  const [slug, category] = process.argv.slice(2);
+
+  if (slug) {
+    const author = assignAuthor(slug, category || FALLBACK_CATEGORY, authors);
+    console.log(author ? `${author.name} (${author.id}) writes "${slug}"` : `No authors in ${AUTHORS_PATH}`);
+  } else {
+    console.log(`${authors.length} authors in ${AUTHORS_PATH}:\n`);
+    for (const category of ARTICLE_CATEGORIES) {
+      const names = authors.filter(author => author.beats?.includes(category)).map(author => author.name);
+      console.log(`  ${category.padEnd(10)} ${names.join(', ') || '(nobody)'}`);
+    }
+    const problems = validateAuthors(authors);
+    if (problems.length > 0) {
+      console.log(`\n⚠️ ${problems.length} problems:`);
+      problems.forEach(problem => console.log(`  - ${problem}`));
+      process.exitCode = 1;
+    } else {
+      console.log('\n✓ No problems');
+    }
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * Canonical URLs for matching the same story across feeds, runs and the archive
+ *
+ * The same page turns up as http and https, with and without "www.", with
+ * utm_* and other tracking parameters, as an AMP variant or with a trailing
+ * slash. canonicalizeUrl() reduces all of those to one form. When the page
+ * itself has been fetched, its <link rel="canonical"> wins over the feed link -
+ * unless it points at the site's homepage or another host, which some
+ * publishers set on every page and would merge all their stories into one.
+ *
+ * Canonical URLs are for comparison; links shown to readers keep the
+ * original sourceUrl.
+ *
+ * Try a link:
+ *   node scripts/canonical-url.js "http://www.example.com/story/amp/?utm_source=feed"
+ */
+
+import { fileURLToPath } from 'url';
+
+// Query parameters that only record where a click came from
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'dclid', 'msclkid', 'yclid', 'igshid', 'mc_cid', 'mc_eid', '_ga',
+  'ref', 'ref_src', 'cmpid', 'ocid', 'smid', 'sr_share', 'CMP', 'ito', 'guccounter'
+]);
+const TRACKING_PREFIXES = ['utm_', 'at_', 'pk_', 'mtm_'];
+
+// Parameters that ask for the AMP rendering of a page
+const AMP_PARAMS = new Set(['amp', 'outputType', 'output']);
+
+function isTrackingParam(key) {
+  return TRACKING_PARAMS.has(key) || TRACKING_PREFIXES.some(prefix => key.toLowerCase().startsWith(prefix));
+}
+
+function isAmpParam(key, value) {
+  return AMP_PARAMS.has(key) && (key === 'amp' || value.toLowerCase() === 'amp');
+}
+
+// Undo Google's AMP cache wrapping: https://www-example-com.cdn.ampproject.org/c/s/www.example.com/story
+function unwrapAmpCache(url) {
+  if (!url.hostname.endsWith('.cdn.ampproject.org')) return url;
+  const match = url.pathname.match(/^\/[a-z]\/(s\/)?(.+)$/);
+  return match ? new URL(`${match[1] ? 'https' : 'http'}://${match[2]}${url.search}`) : url;
+}
+
+function stripAmpPath(pathname) {
+  return pathname
+    .replace(/^\/amp(?=\/)/, '')
+    .replace(/\/amp\/?$/, '')
+    .replace(/\.amp(\.html?)?$/, '$1');
+}
+
+/**
+ * Canonical form of a link: https, lowercase host without "www.", "m." or "amp.",
+ * no AMP path variants, tracking parameters, fragment or trailing slash, and
+ * the remaining query parameters sorted. Returns null for empty or unparseable input.
+ */
+export function canonicalizeUrl(link) {
+  if (!link || typeof link !== 'string') return null;
+
+  let url;
+  try {
+    url = unwrapAmpCache(new URL(link.trim()));
+  } catch (e) {
+    return null;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+
+  const host = url.hostname.toLowerCase().replace(/^(www|amp|m)\./, '');
+  const pathname = stripAmpPath(url.pathname).replace(/\/{2,}/g, '/').replace(/\/+$/, '');
+
+  const params = [...url.searchParams]
+    .filter(([key, value]) => !isTrackingParam(key) && !isAmpParam(key, value))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = new URLSearchParams(params).toString();
+
+  return `https://${host}${pathname}${query ? `?${query}` : ''}`;
+}
+
+// A canonical we can believe names a page on the same site, not the site itself
+function isPlausibleCanonical(canonical, pageUrl) {
+  const page = canonicalizeUrl(pageUrl);
+  if (!canonical || !page) return false;
+  const { host, pathname, search } = new URL(canonical);
+  return host === new URL(page).host && (pathname !== '/' || search !== '');
+}
+
+/**
+ * The canonical URL a page declares with <link rel="canonical" href="...">,
+ * resolved against the page's own URL and canonicalized. Null if there isn't
+ * one, or if it points at the site root or a different host.
+ */
+export function extractCanonicalLink(html, pageUrl) {
+  if (!html) return null;
+  for (const [tag] of html.matchAll(/<link\b[^>]*>/gi)) {
+    if (!/\brel\s*=\s*["']?canonical["'\s>/]/i.test(tag)) continue;
+    const href = tag.match(/\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i);
+    if (!href) continue;
+    try {
+      const canonical = canonicalizeUrl(new URL(href[1] ?? href[2] ?? href[3], pageUrl).href);
+      return isPlausibleCanonical(canonical, pageUrl) ? canonical : null;
+    } catch (e) {
+      return null;
+    }
+  }
+  return null;
+}
+
+// Run if called directly
+const isMainModule = process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1];
+if (isMainModule) {
+  const links = process.argv.slice(2);
+  if (links.length === 0) {
+    console.error('Usage: node scripts/canonical-url.js <url> [url...]');
+    process.exit(1);
+  }
+  for (const link of links) {
+    console.log(`${link}\n  → ${canonicalizeUrl(link) ?? '(not a web URL)'}`);
+  }
+}
@@ -0,0 +1,197 @@
+/**
+ * Cross-batch category balancing
+ *
+ * Each curation batch picks and categorizes its stories on its own, so the
+ * day's category counts are whatever comes out. Once every batch is done,
+ * curate-with-ai.js compares the counts with the targets in
+ * config/categories.json:
+ *   targets       - per-category { min, max } story counts
+ *   maxCandidates - most unused raw articles offered to fill short categories
+ * and, if any category is outside its target, asks Claude in one call to move
+ * borderline stories into under-filled categories and to add unused raw
+ * articles for them. Changes are checked here before they're applied: no move
+ * takes a category below its minimum or above its maximum, and additions only
+ * go to categories still short.
+ *
+ * Moved and added articles record it:
+ *   balancing: { action: 'moved', from, reason } | { action: 'added', reason }
+ *
+ * Today's counts against the targets:
+ *   node scripts/category-balance.js
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { canonicalizeUrl } from './canonical-url.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const CATEGORIES_CONFIG_PATH = path.join(__dirname, '..', 'config', 'categories.json');
+const CURATED_PATH = path.join(__dirname, '..', 'data', 'curated-articles.json');
+
+const DEFAULTS = {
+  targets: {
+    climate: { min: 10, max: 20 },
+    health: { min: 10, max: 20 },
+    science: { min: 10, max: 20 },
+    wildlife: { min: 10, max: 20 },
+    people: { min: 10, max: 20 }
+  },
+  maxCandidates: 40
+};
+
+export function loadBalanceConfig(configPath = CATEGORIES_CONFIG_PATH) {
+  if (!fs.existsSync(configPath)) {
+    return { ...DEFAULTS };
+  }
+  return { ...DEFAULTS, ...JSON.parse(fs.readFileSync(configPath, 'utf8')) };
+}
+
+// Categories without a target have no minimum and no maximum
+function targetFor(targets, category) {
+  return { min: 0, max: Infinity, ...targets[category] };
+}
+
+export function countCategories(articles) {
+  const counts = {};
+  for (const article of articles) {
+    counts[article.category] = (counts[article.category] || 0) + 1;
+  }
+  return counts;
+}
+
+// Categories below their minimum and above their maximum
+export function categoryNeeds(counts, targets) {
+  const under = [];
+  const over = [];
+  for (const category of Object.keys(targets)) {
+    const { min, max } = targetFor(targets, category);
+    const count = counts[category] || 0;
+    if (count < min) under.push({ category, count, missing: min - count });
+    if (count > max) over.push({ category, count, extra: count - max });
+  }
+  return { under, over, balanced: under.length === 0 && over.length === 0 };
+}
+
+/**
+ * What the balancing prompt is shown, with the ids Claude answers with:
+ *   selected   - stories in categories that can spare one (above their minimum), as S<n>
+ *   candidates - unused raw articles, those whose source category is short first, then by positivity, as R<n>
+ */
+export function balanceInput(articles, rawArticles, { targets, maxCandidates }) {
+  const counts = countCategories(articles);
+  const selected = articles
+    .map((article, index) => ({ article, id: `S${index + 1}` }))
+    .filter(({ article }) => (counts[article.category] || 0) > targetFor(targets, article.category).min)
+    .map(({ article, id }) => ({ id, category: article.category, headline: article.headline, excerpt: article.excerpt }));
+
+  const usedUrls = new Set(articles.map(article => canonicalizeUrl(article.sourceUrl)));
+  const usedTitles = new Set(articles.map(article => article.originalTitle));
+  const short = new Set(categoryNeeds(counts, targets).under.map(need => need.category));
+  const candidates = rawArticles
+    .filter(raw => !usedUrls.has(canonicalizeUrl(raw.link)) && !usedTitles.has(raw.title))
+    .sort((a, b) => (short.has(b.category) - short.has(a.category)) || ((b.positivityScore || 0) - (a.positivityScore || 0)))
+    .slice(0, maxCandidates)
+    .map((raw, index) => ({ id: `R${index + 1}`, ...raw }));
+
+  return { counts, selected, candidates };
+}
+
+/**
+ * Apply Claude's moves and additions ({ moves, additions } from BALANCE_SCHEMA)
+ * to `articles`, skipping any that break the targets. Added articles are
+ * appended. Returns { moved, added, rejected } - rejected lists why each
+ * skipped change was skipped.
+ */
+export function applyBalance(articles, candidates, { moves, additions }, targets) {
+  const counts = countCategories(articles);
+  const moved = [];
+  const added = [];
+  const rejected = [];
+
+  for (const move of moves) {
+    const article = articles[Number(move.id.replace(/^S/, '')) - 1];
+    if (!article) {
+      rejected.push(`${move.id}: no such selected story`);
+      continue;
+    }
+    const from = article.category;
+    if (from === move.category || article.balancing) {
+      rejected.push(`${move.id}: already ${from === move.category ? `in ${from}` : 'rebalanced'}`);
+      continue;
+    }
+    if (counts[from] - 1 < targetFor(targets, from).min) {
+      rejected.push(`${move.id}: moving it would take ${from} below its minimum`);
+      continue;
+    }
+    if ((counts[move.category] || 0) >= targetFor(targets, move.category).max) {
+      rejected.push(`${move.id}: ${move.category} is already full`);
+      continue;
+    }
+
+    article.category = move.category;
+    article.balancing = { action: 'moved', from, reason: move.reason };
+    // A moved story gets a photo and author for its new category
+    delete article.imageUrl;
+    delete article.imageSource;
+    counts[from]--;
+    counts[move.category] = (counts[move.category] || 0) + 1;
+    moved.push(article);
+  }
+
+  const byId = new Map(candidates.map(candidate => [candidate.id, candidate]));
+  for (const addition of additions) {
+    const raw = byId.get(addition.id);
+    if (!raw) {
+      rejected.push(`${addition.id}: no such candidate (or added twice)`);
+      continue;
+    }
+    if ((counts[addition.category] || 0) >= targetFor(targets, addition.category).min) {
+      rejected.push(`${addition.id}: ${addition.category} doesn't need more stories`);
+      continue;
+    }
+
+    const article = {
+      originalTitle: raw.title,
+      headline: addition.headline,
+      excerpt: addition.excerpt,
+      category: addition.category,
+      sourceUrl: raw.link,
+      sourceName: raw.source || 'Unknown',
+      readTime: addition.readTime,
+      balancing: { action: 'added', reason: addition.reason }
+    };
+    articles.push(article);
+    byId.delete(addition.id);
+    counts[addition.category] = (counts[addition.category] || 0) + 1;
+    added.push(article);
+  }
+
+  return { moved, added, rejected };
+}
+
+// One line per category: count, target and what's missing or over
+export function describeCounts(counts, targets) {
+  return Object.keys(targets).map(category => {
+    const { min, max } = targetFor(targets, category);
+    const count = counts[category] || 0;
+    const mark = count < min ? `⚠️ ${min - count} short` : count > max ? `⚠️ ${count - max} over` : '✓';
+    return `  ${category.padEnd(10)} ${String(count).padStart(3)}  (target ${min}-${max})  ${mark}`;
+  }).join('\n');
+}
+
+// Run if called directly
+const isMainModule = process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1];
+if (isMainModule) {
+  if (!fs.existsSync(CURATED_PATH)) {
+    console.error('No curated articles found. Run curate-with-ai.js first.');
+    process.exit(1);
+  }
+  const { allArticles = [] } = JSON.parse(fs.readFileSync(CURATED_PATH, 'utf8'));
+  const { targets } = loadBalanceConfig();
+  console.log(`Category counts for ${allArticles.length} curated articles (${CATEGORIES_CONFIG_PATH}):\n`);
+  console.log(describeCounts(countCategories(allArticles), targets));
+  const moved = allArticles.filter(article => article.balancing?.action === 'moved').length;
+  const added = allArticles.filter(article => article.balancing?.action === 'added').length;
+  console.log(`\n${moved} moved and ${added} added by balancing`);
+}
@@ -0,0 +1,79 @@
+/**
+ * Category-aware selection of the top raw articles
+ *
+ * Sorting purely by score lets one category (usually "general" items from
+ * trusted sources) crowd out the rest before curation sees anything. Articles
+ * that must be included (editor allow rules) are taken first, whatever their
+ * score or category. Each category then gets its minimum from its own best
+ * items, and leftover slots go to the highest scores overall without pushing
+ * any category past its maximum. If the minimums alone add up to more than
+ * the total, the categories take turns keeping their best items until it's
+ * reached.
+ */
+
+/**
+ * Pick up to `total` articles honouring per-category { min, max } quotas.
+ * Articles must already be sorted best-first. Categories without a quota
+ * have no minimum and no maximum. Articles matching `alwaysInclude` are always
+ * selected and count towards their category's quota.
+ * Returns { selected, counts, shortfalls } where shortfalls lists categories that couldn't reach their minimum.
+ */
+export function selectWithQuotas(articles, { total, quotas = {}, alwaysInclude = () => false }) {
+  const counts = {};
+  const chosen = new Set();
+  const take = article => {
+    chosen.add(article);
+    counts[article.category] = (counts[article.category] || 0) + 1;
+  };
+
+  // Reserve a slot for every article that must be in
+  const required = articles.filter(alwaysInclude);
+  required.forEach(take);
+
+  // Guarantee each category's minimum from its best items
+  const shortfalls = [];
+  const minimums = [];
+  for (const [category, { min = 0 }] of Object.entries(quotas)) {
+    const candidates = articles
+      .filter(a => a.category === category && !chosen.has(a))
+      .slice(0, Math.max(0, min - (counts[category] || 0)));
+    candidates.forEach(take);
+    minimums.push(candidates);
+    if ((counts[category] || 0) < min) {
+      shortfalls.push({ category, min, available: counts[category] || 0 });
+    }
+  }
+
+  // Minimums that add up to more than the total: categories take turns keeping their
+  // next-best item, so every category keeps its share instead of the lowest scores losing out.
+  // Required articles stay, even if they alone fill the total.
+  const limit = Math.max(total, required.length);
+  if (chosen.size > limit) {
+    chosen.clear();
+    required.forEach(article => chosen.add(article));
+    for (let round = 0; chosen.size < limit; round++) {
+      for (const candidates of minimums) {
+        if (round < candidates.length && chosen.size < limit) chosen.add(candidates[round]);
+      }
+    }
+  }
+
+  // Fill the rest by score, respecting each category's maximum
+  for (const article of articles) {
+    if (chosen.size >= total) break;
+    if (chosen.has(article)) continue;
+    const max = quotas[article.category]?.max ?? Infinity;
+    if ((counts[article.category] || 0) >= max) continue;
+    take(article);
+  }
+
+  // Back into score order; the fill never takes more than the total, so nothing guaranteed is cut
+  const selected = articles.filter(a => chosen.has(a));
+
+  const finalCounts = {};
+  for (const article of selected) {
+    finalCounts[article.category] = (finalCounts[article.category] || 0) + 1;
+  }
+
+  return { selected, counts: finalCounts, shortfalls };
+}
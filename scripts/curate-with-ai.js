@@ -8,35 +8,56 @@
  */
 
 import 'dotenv/config';
-import Anthropic from '@anthropic-ai/sdk';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { getNextImage, resetImageIndices, getRandomImage } from './image-pool.js';
+import { canonicalizeUrl } from './canonical-url.js';
+import { restoreSourceTexts } from './feed-cache.js';
+import { ARTICLE_CATEGORIES, CURATION_SCHEMA, BALANCE_SCHEMA, ARTICLE_SCHEMA, FACT_CHECK_SCHEMA } from './llm-schemas.js';
+import { callStructured } from './structured-output.js';
+import { createProvider } from './llm-providers/index.js';
+import { loadLlmConfig } from './llm-config.js';
+import { createRateLimiter, limitProvider, runConcurrently } from './rate-limiter.js';
+import { createUsageLedger, pruneLedger, formatUsd } from './usage-ledger.js';
+import {
+  systemPrompt,
+  curationPrompt,
+  balancePrompt,
+  articlePrompt,
+  factCheckPrompt,
+  revisionPrompt,
+  articleText,
+  sourceMaterialText
+} from './prompts.js';
+import { evaluateClaims, unverifiedResult } from './fact-check.js';
+import { selectHomepage } from './homepage-selection.js';
+import { loadAuthors, assignAuthor } from './author-registry.js';
+import {
+  loadBalanceConfig,
+  countCategories,
+  categoryNeeds,
+  balanceInput,
+  applyBalance,
+  describeCounts
+} from './category-balance.js';
+import {
+  RUN_STATE_PATH,
+  inputFingerprint,
+  newRunState,
+  loadRunState,
+  saveRunState,
+  markForRegeneration,
+  describeRunState
+} from './curation-checkpoint.js';
 
 const PEXELS_API_KEY = process.env.PEXELS_API_KEY;
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const DATA_DIR = path.join(__dirname, '..', 'data');
 
-const anthropic = new Anthropic();
-
 // Category configuration
-const CATEGORIES = ['climate', 'health', 'science', 'wildlife', 'people'];
-
-// Punny author names by category
-const AUTHORS = {
-  climate: ['Sunny Bright', 'Gusty Winds', 'Ray Solar', 'Marina Waters', 'Forrest Green', 'Coral Reef', 'River Stone'],
-  health: ['Liv Long', 'Hope Springs', 'Vi Tality', 'Will Power', 'Grace Recovery', 'Faith Healer', 'Joy Fuller'],
-  science: ['Al Gorithm', 'Ella Ment', 'Gene Pool', 'Adam Atom', 'Crystal Clear', 'Nova Star', 'Flora Fauna'],
-  wildlife: ['Fauna Flora', 'Robin Nest', 'Finn Waters', 'Bear Lee', 'Dawn Chorus', 'Buck Wild', 'Coral Bay'],
-  people: ['Hope Rising', 'Joy Fuller', 'Will Prosper', 'Faith Forward', 'Sol Idarity', 'Pat Ontheback', 'Charity Case']
-};
-
-function getAuthor(category) {
-  const authors = AUTHORS[category] || AUTHORS.people;
-  return authors[Math.floor(Math.random() * authors.length)];
-}
+const CATEGORIES = ARTICLE_CATEGORIES;
 
 function generateSlug(title) {
   return title
@@ -146,6 +167,7 @@ async function searchPexelsImage(article) {
 }
 
 // Get a valid image for an article - tries Pexels first, falls back to curated pool
+// Returns { imageUrl, imageSource } - imageSource is search, pool or fallback (homepage selection prefers photos found for the story)
 async function getValidImage(article) {
   const category = article.category || 'people';
 
@@ -154,7 +176,7 @@ async function getValidImage(article) {
   if (pexelsImage) {
     const isValid = await validateImageUrl(pexelsImage);
     if (isValid) {
-      return pexelsImage;
+      return { imageUrl: pexelsImage, imageSource: 'search' };
     }
     console.log(`    Pexels image failed validation, trying pool...`);
   }
@@ -164,130 +186,125 @@ async function getValidImage(article) {
     const imageUrl = getNextImage(category);
     const isValid = await validateImageUrl(imageUrl);
     if (isValid) {
-      return imageUrl;
+      return { imageUrl, imageSource: 'pool' };
     }
     console.log(`    Pool image failed validation, trying another...`);
   }
 
   // Last resort fallback
   console.log(`    Using random fallback for ${category}`);
-  return getRandomImage(category);
+  return { imageUrl: getRandomImage(category), imageSource: 'fallback' };
 }
 
-// System prompt for consistent WGAC voice
-const WGAC_SYSTEM_PROMPT = `You are a writer for "News That's Not Crap" - a positive news site.
-
-YOUR VOICE:
-- Warm and conversational, like a smart friend sharing good news
-- Playful with puns and wordplay when natural
-- Optimistic without being naive or preachy
-- Accessible - explain complex topics simply
-- Light self-deprecation is fine occasionally, but NOT in every article
-
-CRITICAL - VARIETY IN OPENINGS:
-- Every article should start differently
-- DO NOT reference toilet paper, TP, or being a toilet paper company
-- DO NOT start every article with self-deprecating humor
-- Mix up your approaches: sometimes start with the key fact, sometimes with a question, sometimes with a surprising angle, sometimes with humor
-- Each article should feel fresh and unique while maintaining consistent warmth
-
-ABSOLUTE RULES FOR FACTS:
-- ONLY use facts explicitly stated in the source material provided
-- NEVER invent statistics, percentages, or numbers
-- NEVER fabricate quotes or attribute words to anyone
-- NEVER make up researcher names, expert names, or organizations
-- When uncertain, use phrases like "according to the report"
-- Better to write less than to fabricate details
-
-Remember: The tone is playful, but the facts are sacred.`;
-
 // Batch size for processing (to stay under token limits)
 const BATCH_SIZE = 20;
 
-// Helper to wait
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const MODEL = 'claude-sonnet-4-20250514';
 
-// API call with retry logic
-async function callWithRetry(fn, maxRetries = 3) {
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      return await fn();
-    } catch (error) {
-      if (error.status === 429 && attempt < maxRetries) {
-        // Rate limited - wait and retry
-        const waitTime = Math.min(60000 * attempt, 120000); // 1-2 minutes
-        console.log(`  Rate limited. Waiting ${waitTime / 1000}s before retry ${attempt + 1}/${maxRetries}...`);
-        await sleep(waitTime);
-      } else {
-        throw error;
-      }
+// Record the model and prompt versions that produced an article
+function recordProvenance(article, provider, ...prompts) {
+  article.provenance ??= { model: MODEL, provider: provider.name, prompts: {} };
+  for (const { provenance } of prompts) {
+    article.provenance.prompts[provenance.id] = { version: provenance.version, hash: provenance.hash };
+  }
+}
+
+// Copy fetch-stage details (full text, other outlets covering the story, canonical URL, language, query, positivity score) onto the curated article made from each raw article
+function attachRawDetails(curatedArticles, rawArticles) {
+  const byUrl = new Map(rawArticles.map(a => [canonicalizeUrl(a.link), a]));
+  const byTitle = new Map(rawArticles.map(a => [a.title, a]));
+  for (const article of curatedArticles) {
+    const raw = byUrl.get(canonicalizeUrl(article.sourceUrl)) || byTitle.get(article.originalTitle);
+    article.canonicalUrl = raw?.canonicalUrl || canonicalizeUrl(article.sourceUrl);
+    if (raw?.sourceText) {
+      article.sourceText = raw.sourceText;
+    } else if (raw?.description) {
+      // The source's own summary - what writing and fact-checking work from when there's no full text
+      article.sourceExcerpt = raw.description;
+    }
+    if (raw?.additionalSources?.length) {
+      article.additionalSources = raw.additionalSources;
+    }
+    // Set only on stories translated from another language, so reviewers can see it
+    if (raw?.originalLanguage) {
+      article.originalLanguage = raw.originalLanguage;
+    }
+    // Lets the NewsAPI planner credit the query that found the story
+    if (raw?.newsapiQuery) {
+      article.newsapiQuery = raw.newsapiQuery;
+    }
+    // One of the homepage selection signals
+    if (raw?.positivityScore !== undefined) {
+      article.positivityScore = raw.positivityScore;
     }
   }
 }
 
 // Process a single batch of articles
-async function curateBatch(articles, batchNum, totalBatches) {
+async function curateBatch(provider, articles, batchNum, totalBatches) {
   console.log(`  Processing batch ${batchNum}/${totalBatches} (${articles.length} articles)...`);
 
-  const prompt = `Review these ${articles.length} articles and select the BEST stories for a positive news site.
-
-IMPORTANT: Select at least 8-10 articles from this batch. We need a minimum of 30 articles total across all batches, so be generous in your selections while maintaining quality.
-
-SELECTION CRITERIA:
-1. Genuinely positive/constructive (not just "less bad" news)
-2. Significant and newsworthy
-3. Categorize into: climate, health, science, wildlife, or people
-
-For EACH good article, provide:
-- originalTitle: exact title from source
-- headline: rewritten in WGAC voice (punchy, playful, can include puns)
-- excerpt: 2-3 sentence summary using ONLY facts from the source
-- category: one of [climate, health, science, wildlife, people]
-- sourceUrl: exact URL from source
-- sourceName: publication name
-- readTime: estimated minutes (3-6)
-
-SOURCE ARTICLES:
-${JSON.stringify(articles, null, 2)}
-
-Return valid JSON:
-{
-  "articles": [
-    {
-      "originalTitle": "...",
-      "headline": "...",
-      "excerpt": "...",
-      "category": "climate|health|science|wildlife|people",
-      "sourceUrl": "...",
-      "sourceName": "...",
-      "readTime": 4
-    }
-  ]
-}`;
-
-  const response = await callWithRetry(() =>
-    anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 8000,
-      system: WGAC_SYSTEM_PROMPT,
-      messages: [{ role: 'user', content: prompt }]
-    })
-  );
-
-  const content = response.content[0].text;
-  const jsonMatch = content.match(/\{[\s\S]*\}/);
-  if (!jsonMatch) {
-    console.log(`  Warning: No JSON in batch ${batchNum} response`);
-    return [];
+  const system = systemPrompt();
+  const prompt = curationPrompt(articles);
+
+  const result = await callStructured({
+    create: (params) => provider.createMessage(params),
+    task: `curation batch ${batchNum}`,
+    model: MODEL,
+    maxTokens: 8000,
+    system: system.text,
+    prompt: prompt.text,
+    schema: CURATION_SCHEMA,
+    toolName: 'submit_curation',
+    toolDescription: 'Submit the stories selected from this batch'
+  });
+
+  console.log(`  ✓ Batch ${batchNum}: ${result.articles.length} articles selected`);
+  result.articles.forEach(article => recordProvenance(article, provider, system, prompt));
+
+  return result.articles;
+}
+
+// Bring category counts within their targets across all batches (see category-balance.js)
+async function balanceCategories(provider, rawArticles, articles) {
+  const config = loadBalanceConfig();
+  const { counts, selected, candidates } = balanceInput(articles, rawArticles, config);
+  console.log('\nCategory counts before balancing:');
+  console.log(describeCounts(counts, config.targets));
+
+  const needs = categoryNeeds(counts, config.targets);
+  if (needs.balanced) {
+    console.log('  ✓ Every category is within its target');
+    return;
   }
 
-  const result = JSON.parse(jsonMatch[0]);
-  console.log(`  ✓ Batch ${batchNum}: ${result.articles?.length || 0} articles selected`);
+  console.log(`\n  Rebalancing with ${selected.length} movable stories and ${candidates.length} unused candidates...`);
+  const system = systemPrompt();
+  const prompt = balancePrompt({ counts, targets: config.targets, selected, candidates });
+  const result = await callStructured({
+    create: (params) => provider.createMessage(params),
+    task: 'category balancing',
+    model: MODEL,
+    maxTokens: 8000,
+    system: system.text,
+    prompt: prompt.text,
+    schema: BALANCE_SCHEMA,
+    toolName: 'submit_balance',
+    toolDescription: 'Submit the stories to move to another category and the unused stories to add'
+  });
+
+  const { moved, added, rejected } = applyBalance(articles, candidates, result, config.targets);
+  [...moved, ...added].forEach(article => recordProvenance(article, provider, system, prompt));
+  moved.forEach(article => console.log(`  ↪ ${article.balancing.from} → ${article.category}: ${article.headline}`));
+  added.forEach(article => console.log(`  + ${article.category}: ${article.headline}`));
+  rejected.forEach(reason => console.log(`  ✗ Skipped ${reason}`));
 
-  return result.articles || [];
+  console.log(`\nCategory counts after balancing (${moved.length} moved, ${added.length} added):`);
+  console.log(describeCounts(countCategories(articles), config.targets));
 }
 
-async function curateAndCategorize(rawArticles) {
+// Batches already in the run state are skipped; each new one is checkpointed
+async function curateAndCategorize(provider, rawArticles, state, { concurrency, budgetSpent }) {
   console.log('Curating and categorizing articles with Claude...\n');
 
   // Split into batches
@@ -298,42 +315,80 @@ async function curateAndCategorize(rawArticles) {
 
   console.log(`Processing ${rawArticles.length} articles in ${batches.length} batches...\n`);
 
-  // Process each batch with delays between them
-  const allCurated = [];
-  for (let i = 0; i < batches.length; i++) {
-    try {
-      const batchResults = await curateBatch(batches[i], i + 1, batches.length);
-      allCurated.push(...batchResults);
+  const allCurated = state.articles;
+  const pending = [];
+  for (let batchNum = 1; batchNum <= batches.length; batchNum++) {
+    if (state.batches.done.includes(batchNum)) {
+      console.log(`  Batch ${batchNum}/${batches.length} already done`);
+    } else {
+      pending.push(batchNum);
+    }
+  }
 
-      // Wait between batches to respect rate limits
-      if (i < batches.length - 1) {
-        console.log('  Waiting 30s before next batch...\n');
-        await sleep(30000);
+  // Batches run side by side, but their articles are added in batch order so the order doesn't depend on timing
+  const results = new Map();
+  let added = 0;
+  const addFinishedBatches = () => {
+    while (added < pending.length && results.has(pending[added])) {
+      const batchNum = pending[added++];
+      const selected = results.get(batchNum);
+      if (selected) {
+        allCurated.push(...selected);
+        state.batches.done.push(batchNum);
       }
+    }
+    saveRunState(state);
+  };
+
+  await runConcurrently(pending, concurrency, async (batchNum) => {
+    if (budgetSpent()) {
+      results.set(batchNum, null);
+      addFinishedBatches();
+      return;
+    }
+    try {
+      results.set(batchNum, await curateBatch(provider, batches[batchNum - 1], batchNum, batches.length));
     } catch (error) {
-      console.error(`  Error in batch ${i + 1}: ${error.message}`);
-      // Continue with other batches
+      // Continue with other batches; a resumed run tries this one again
+      console.error(`  Error in batch ${batchNum}: ${error.message}`);
+      results.set(batchNum, null);
     }
-  }
+    addFinishedBatches();
+  });
 
   console.log(`\n✅ Curated ${allCurated.length} articles total`);
 
-  // Select hero and featured
-  if (allCurated.length > 0) {
-    allCurated[0].isHomepageHero = true;
-    allCurated.slice(1, 15).forEach(a => a.isHomepageFeatured = true);
+  // Balancing needs every batch's picks; a run missing some balances when it's resumed
+  if (state.batches.done.length < batches.length) {
+    console.log(`\n${batches.length - state.batches.done.length} batches unfinished - category balancing waits for them`);
+  } else if (!state.balanced && !budgetSpent()) {
+    try {
+      await balanceCategories(provider, rawArticles, allCurated);
+      state.balanced = true;
+    } catch (error) {
+      // The unbalanced selection is still usable; a resumed run tries again
+      console.error(`  Error balancing categories: ${error.message}`);
+    }
+    saveRunState(state);
   }
 
   // Add slugs, authors, and images
   // Reset image indices for variety across the batch
   resetImageIndices();
+  const authors = loadAuthors();
 
   console.log('\nAssigning and validating images...\n');
   for (const article of allCurated) {
+    // Kept from an earlier attempt when resuming
+    if (article.imageUrl) continue;
     article.slug = generateSlug(article.headline);
-    article.author = getAuthor(article.category);
+    // Seeded by slug, so the same story always gets the same byline (see author-registry.js)
+    const author = assignAuthor(article.slug, article.category, authors);
+    article.author = author?.name || 'The Team';
+    article.authorId = author?.id;
     // Search for content-relevant image (Pexels first, then curated pool fallback)
-    article.imageUrl = await getValidImage(article);
+    Object.assign(article, await getValidImage(article));
+    saveRunState(state);
     console.log(`  ✓ ${article.headline.slice(0, 50)}...`);
   }
 
@@ -347,147 +402,103 @@ async function curateAndCategorize(rawArticles) {
   return allCurated;
 }
 
-async function generateFullArticle(article) {
+async function generateFullArticle(provider, article) {
   console.log(`  Writing: ${article.headline}`);
 
-  const prompt = `Write a full article for "News That's Not Crap" based on this story.
-
-ORIGINAL SOURCE:
-Title: ${article.originalTitle}
-Excerpt: ${article.excerpt}
-Source: ${article.sourceName}
-URL: ${article.sourceUrl}
-
-VOICE & TONE (This is crucial!):
-- Playful, warm, and conversational - like a witty friend sharing exciting news
-- Use puns and wordplay naturally (but don't force them)
-- Explain complex topics simply - "for those of us who snoozed through [subject]..."
-- Light humor and personality throughout
-- Optimistic without being naive
-- Accessible to everyone - no unexplained jargon
-
-IMPORTANT - VARIETY IN OPENINGS:
-- DO NOT reference toilet paper or being a TP company
-- DO NOT use the same opening structure for every article
-- Mix it up: surprising angles, playful observations, intriguing questions
-- Each article should feel fresh and unique
-
-STRICT FACT RULES:
-- ONLY use facts from the source excerpt above
-- Do NOT invent statistics, numbers, or percentages
-- Do NOT fabricate quotes or attribute words to anyone
-- Do NOT make up names of researchers/experts/organizations
-- If the source is light on details, keep it shorter rather than padding
-- Use "according to the report" when summarizing uncertain details
-
-STRUCTURE (aim for ~550 words total):
-1. Opening hook (1-2 paragraphs): Grab attention with personality. Can be playful, surprising, or intriguing.
-2. Subheading + explanation (2-3 paragraphs): What happened and why it matters. Use a punny or engaging subheading.
-3. Subheading + "Why this matters" (1-2 paragraphs): The bigger picture, why readers should care.
-4. Closing (1 paragraph): Wrap up with warmth, maybe a light callback or optimistic note.
-
-Return JSON:
-{
-  "lead": "Opening 1-2 paragraphs with personality and hook...",
-  "body": [
-    {"subheading": "Punny or Engaging Subheading", "content": "2-3 paragraphs explaining the story..."},
-    {"subheading": "Why This Matters (or similar)", "content": "1-2 paragraphs on the bigger picture..."},
-    {"subheading": "The Bottom Line (or similar)", "content": "Warm closing paragraph..."}
-  ],
-  "pullQuote": "A striking quote or fact from the source (ONLY if actually in source, otherwise null)"
-}`;
+  const system = systemPrompt();
+  const prompt = articlePrompt(article);
+  recordProvenance(article, provider, system, prompt);
+
+  return callStructured({
+    create: (params) => provider.createMessage(params),
+    task: `article "${article.headline}"`,
+    model: MODEL,
+    maxTokens: 2000,
+    system: system.text,
+    prompt: prompt.text,
+    schema: ARTICLE_SCHEMA,
+    toolName: 'submit_article',
+    toolDescription: 'Submit the finished article'
+  });
+}
 
-  try {
-    const response = await callWithRetry(() =>
-      anthropic.messages.create({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 2000,
-        system: WGAC_SYSTEM_PROMPT,
-        messages: [{ role: 'user', content: prompt }]
-      })
-    );
-
-    const content = response.content[0].text;
-    const jsonMatch = content.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      return { lead: article.excerpt, body: [], pullQuote: null };
-    }
+// Fact-check an article against its source, claim by claim (see fact-check.js)
+async function factCheckArticle(provider, article) {
+  console.log(`  Fact-checking: ${article.headline}`);
 
-    return JSON.parse(jsonMatch[0]);
+  const prompt = factCheckPrompt(article, articleText(article.fullContent));
+  recordProvenance(article, provider, prompt);
+
+  const checked = await callStructured({
+    create: (params) => provider.createMessage(params),
+    task: `fact-check "${article.headline}"`,
+    model: MODEL,
+    maxTokens: 4000,
+    prompt: prompt.text,
+    schema: FACT_CHECK_SCHEMA,
+    toolName: 'submit_fact_check',
+    toolDescription: 'Submit every claim in the article with its verdict and the source words that decide it'
+  });
 
-  } catch (error) {
-    console.error(`  Error generating article: ${error.message}`);
-    return { lead: article.excerpt, body: [], pullQuote: null };
+  const result = evaluateClaims(checked, sourceMaterialText(article));
+  if (!result.passed) {
+    console.log(`    ⚠️ Fact-check failed: ${result.issues.length} of ${result.claims.length} claims not supported`);
+    result.issues.forEach(issue => console.log(`       - ${issue}`));
+  } else {
+    console.log(`    ✓ Fact-check passed: ${result.claims.length} claims supported (${result.confidence} confidence)`);
   }
+  return result;
 }
 
-// Fact-check an article against its source
-async function factCheckArticle(article) {
-  console.log(`  Fact-checking: ${article.headline}`);
-
-  const generatedContent = article.fullContent;
-  const allGeneratedText = [
-    generatedContent.lead,
-    ...(generatedContent.body || []),
-    generatedContent.pullQuote
-  ].filter(Boolean).join('\n\n');
-
-  const prompt = `You are a fact-checker. Compare the generated article against the original source information.
-
-ORIGINAL SOURCE:
-Title: ${article.originalTitle}
-Source: ${article.sourceName}
-Original excerpt: ${article.excerpt}
-
-GENERATED ARTICLE:
-${allGeneratedText}
-
-VERIFY:
-1. Are all facts, statistics, and numbers accurate to the source?
-2. Are all quotes attributed correctly (or not fabricated)?
-3. Are there any claims not supported by the source material?
-4. Are names of people, organizations, or places accurate?
-
-Respond with JSON:
-{
-  "passed": true/false,
-  "issues": ["list of specific factual issues found, if any"],
-  "confidence": "high/medium/low",
-  "summary": "brief explanation"
-}`;
-
-  try {
-    const response = await callWithRetry(() =>
-      anthropic.messages.create({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 1000,
-        messages: [{ role: 'user', content: prompt }]
-      })
-    );
-
-    const content = response.content[0].text;
-    const jsonMatch = content.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      return { passed: true, issues: [], confidence: 'low', summary: 'Could not parse fact-check response' };
-    }
+// Rewrite an article that failed fact-checking, fixing the issues the check found
+async function reviseArticle(provider, article, factCheck) {
+  console.log(`  Revising: ${article.headline}`);
+
+  const system = systemPrompt();
+  const prompt = revisionPrompt(article, articleText(article.fullContent), factCheck.issues);
+  recordProvenance(article, provider, system, prompt);
+
+  return callStructured({
+    create: (params) => provider.createMessage(params),
+    task: `revise "${article.headline}"`,
+    model: MODEL,
+    maxTokens: 2000,
+    system: system.text,
+    prompt: prompt.text,
+    schema: ARTICLE_SCHEMA,
+    toolName: 'submit_article',
+    toolDescription: 'Submit the revised article'
+  });
+}
 
-    const result = JSON.parse(jsonMatch[0]);
-    if (!result.passed) {
-      console.log(`    ⚠️ Fact-check issues: ${result.issues.join(', ')}`);
-    } else {
-      console.log(`    ✓ Fact-check passed (${result.confidence} confidence)`);
-    }
-    return result;
+/**
+ * Each draft of an article and the fact-check of it, oldest first:
+ *   article.history = [{ draft: 1, writtenAt, fullContent, factCheck }, ...]
+ * Draft 1 is the original; the rest are revisions. The last entry is the current text.
+ */
+function addDraft(article) {
+  article.history ??= [];
+  article.history.push({ draft: article.history.length + 1, writtenAt: new Date().toISOString(), fullContent: article.fullContent, factCheck: null });
+}
 
-  } catch (error) {
-    console.error(`  Error fact-checking: ${error.message}`);
-    return { passed: true, issues: [], confidence: 'low', summary: 'Fact-check failed, defaulting to pass' };
-  }
+function recordFactCheck(article, factCheck) {
+  article.factCheck = factCheck;
+  if (!article.history?.length) addDraft(article);
+  article.history[article.history.length - 1].factCheck = factCheck;
 }
 
+const revisionsMade = (article) => Math.max(0, (article.history?.length || 0) - 1);
+
 // Export for use as module
-export async function runCuration() {
+// provider: where Claude requests go (see scripts/llm-providers/) - defaults to LLM_PROVIDER or the real API
+// resume: continue the run checkpointed in data/curation-run.json instead of starting over
+// regenerate: slugs (or 'all') to rewrite and re-check when resuming - nothing else is redone
+// budgetUsd: overrides runBudgetUsd from config/llm.json
+export async function runCuration({ provider = createProvider(), resume = false, regenerate = [], budgetUsd } = {}) {
   console.log('=== Curating positive news with AI ===\n');
+  if (provider.name !== 'anthropic') {
+    console.log(`Using the ${provider.name} LLM provider\n`);
+  }
 
   // Load raw articles
   const rawPath = path.join(DATA_DIR, 'raw-articles.json');
@@ -497,64 +508,212 @@ export async function runCuration() {
   }
 
   const rawArticles = JSON.parse(fs.readFileSync(rawPath, 'utf8'));
-  console.log(`Loaded ${rawArticles.length} raw articles\n`);
+  console.log(`Loaded ${rawArticles.length} raw articles`);
+
+  // Items in other languages queued by fetch-news.js (otherLanguages: "translate")
+  const queuePath = path.join(DATA_DIR, 'translation-queue.json');
+  if (fs.existsSync(queuePath)) {
+    const queued = JSON.parse(fs.readFileSync(queuePath, 'utf8'));
+    rawArticles.push(...queued);
+    if (queued.length > 0) {
+      console.log(`Loaded ${queued.length} articles queued for translation`);
+    }
+  }
+
+  // Full source text is kept in the feed cache, not in the JSON
+  const missingText = restoreSourceTexts(rawArticles);
+  if (missingText > 0) {
+    console.log(`⚠️ Source text for ${missingText} articles is no longer in the feed cache - they'll be written from their excerpts`);
+  }
+  console.log('');
+
+  const input = inputFingerprint(rawArticles);
+  const totalBatches = Math.ceil(rawArticles.length / BATCH_SIZE);
+  let state;
+  if (resume) {
+    state = loadRunState();
+    if (!state) {
+      throw new Error(`No curation run to resume (${RUN_STATE_PATH} not found)`);
+    }
+    if (state.input !== input) {
+      throw new Error('The raw articles have changed since this run started - run without --resume to start over');
+    }
+    console.log(`Resuming run started ${state.startedAt}: ${describeRunState(state)}\n`);
+    if (regenerate.length > 0) {
+      const unknown = markForRegeneration(state, regenerate);
+      unknown.forEach(slug => console.log(`  No article with slug "${slug}" in this run`));
+    }
+  } else {
+    const previous = loadRunState();
+    if (previous && !previous.completedAt) {
+      console.log(`Starting over - the unfinished run from ${previous.startedAt} is discarded (use --resume to continue it)\n`);
+    }
+    state = newRunState({ input, provider: provider.name, totalBatches });
+  }
+  saveRunState(state);
+
+  // Every model call shares one rate limiter (config/llm.json); providers that never reach the API only need the concurrency limit
+  const llmConfig = loadLlmConfig();
+  const limiter = createRateLimiter(provider.rateLimited
+    ? llmConfig
+    : { ...llmConfig, requestsPerMinute: Infinity, inputTokensPerMinute: Infinity, outputTokensPerMinute: Infinity });
+  const llm = limitProvider(provider, limiter);
+
+  // Token usage goes to data/llm-usage.jsonl; the run's spend (kept across resumes) is capped by runBudgetUsd
+  pruneLedger();
+  const ledger = createUsageLedger({
+    run: state.startedAt,
+    budgetUsd: budgetUsd ?? llmConfig.runBudgetUsd,
+    pricing: llmConfig.pricing,
+    spentUsd: state.spentUsd || 0,
+    onSpend: (spentUsd) => { state.spentUsd = spentUsd; }
+  });
+  let budgetAnnounced = false;
+  const budgetSpent = () => {
+    if (!ledger.overBudget()) return false;
+    if (!budgetAnnounced) {
+      budgetAnnounced = true;
+      console.log(`\n💸 Run budget of ${formatUsd(ledger.budgetUsd)} reached (${formatUsd(ledger.spentUsd)} spent) - no new batches or articles will be started\n`);
+    }
+    return true;
+  };
 
   // Step 1: Curate and categorize
-  const curatedArticles = await curateAndCategorize(rawArticles);
+  const curatedArticles = await curateAndCategorize(ledger.track(llm, 'curate'), rawArticles, state, {
+    concurrency: llmConfig.maxConcurrency,
+    budgetSpent
+  });
+  attachRawDetails(curatedArticles, rawArticles);
 
   // Step 2: Generate full content for all articles
   console.log('\nGenerating full article content...\n');
 
-  for (let i = 0; i < curatedArticles.length; i++) {
-    const article = curatedArticles[i];
-    const fullContent = await generateFullArticle(article);
-    article.fullContent = fullContent;
-
-    // Longer delay to respect rate limits (10k tokens/minute)
-    if (i < curatedArticles.length - 1) {
-      await sleep(15000); // 15 seconds between articles
+  const writer = ledger.track(llm, 'write');
+  await runConcurrently(curatedArticles, llmConfig.maxConcurrency, async (article, i) => {
+    if (state.written.includes(i) || budgetSpent()) return;
+    try {
+      article.fullContent = await generateFullArticle(writer, article);
+      // A new article starts a new history
+      article.history = [];
+      addDraft(article);
+      state.written.push(i);
+      // A rewritten article needs checking again
+      state.factChecked = state.factChecked.filter(index => index !== i);
+    } catch (error) {
+      // Left unmarked so a resumed run tries again
+      console.error(`  Error generating article: ${error.message}`);
+      article.fullContent = { lead: article.excerpt, body: [], pullQuote: null };
     }
-  }
+    saveRunState(state);
+  });
 
-  // Step 3: Fact-check all articles
+  // Step 3: Fact-check all articles, revising and re-checking the ones that fail (up to maxRevisions times)
   console.log('\nFact-checking articles...\n');
 
-  for (let i = 0; i < curatedArticles.length; i++) {
-    const article = curatedArticles[i];
-    const factCheck = await factCheckArticle(article);
-    article.factCheck = factCheck;
+  // Articles already written are still checked after the budget runs out, so nothing goes out unchecked - but no new revisions are started
+  const checker = ledger.track(llm, 'fact-check');
+  const reviser = ledger.track(llm, 'revise');
+  const checkDraft = async (article) => {
+    try {
+      return await factCheckArticle(checker, article);
+    } catch (error) {
+      // A checker that couldn't run has verified nothing
+      console.error(`  Error fact-checking: ${error.message}`);
+      return unverifiedResult(error.message);
+    }
+  };
 
-    // Flag articles that failed fact-check
+  await runConcurrently(curatedArticles, llmConfig.maxConcurrency, async (article, i) => {
+    if (state.factChecked.includes(i) || !article.fullContent) return;
+
+    // A resumed run keeps the check of the current draft if it got one
+    const checked = article.history?.at(-1)?.factCheck;
+    let factCheck = checked && checked.status !== 'unverified' ? checked : await checkDraft(article);
+    recordFactCheck(article, factCheck);
+    saveRunState(state);
+
+    while (factCheck.status === 'failed' && revisionsMade(article) < llmConfig.maxRevisions && !budgetSpent()) {
+      try {
+        article.fullContent = await reviseArticle(reviser, article, factCheck);
+      } catch (error) {
+        console.error(`  Error revising article: ${error.message}`);
+        break;
+      }
+      addDraft(article);
+      factCheck = await checkDraft(article);
+      recordFactCheck(article, factCheck);
+      saveRunState(state);
+    }
+
+    // Done once it passes or has had all its revisions; otherwise a resumed run carries on from the current draft
+    if (factCheck.status === 'passed' || (factCheck.status === 'failed' && revisionsMade(article) >= llmConfig.maxRevisions)) {
+      state.factChecked.push(i);
+    }
+
+    // Articles still failing (or never verified) are flagged, and denied until an editor approves them
+    delete article.factCheckFailed;
+    delete article.approved;
     if (!factCheck.passed) {
       article.factCheckFailed = true;
-      console.log(`    Article "${article.headline}" flagged for review`);
+      article.approved = false;
+      console.log(`    Article "${article.headline}" flagged for review (${factCheck.status} after ${revisionsMade(article)} revisions)`);
+    } else if (revisionsMade(article) > 0) {
+      console.log(`    ✓ "${article.headline}" passed after ${revisionsMade(article)} revisions`);
     }
+    saveRunState(state);
+  });
 
-    // Delay between fact-checks
-    if (i < curatedArticles.length - 1) {
-      await sleep(5000); // 5 seconds between fact-checks
-    }
+  // Log fact-check summary
+  const countStatus = (status) => curatedArticles.filter(a => a.factCheck?.status === status).length;
+  const revised = curatedArticles.filter(a => revisionsMade(a) > 0).length;
+  console.log(`\n✅ Fact-check complete: ${countStatus('passed')} passed, ${countStatus('failed')} failed, ` +
+    `${countStatus('unverified')} unverified (${revised} revised) - failed and unverified articles are denied pending review`);
+
+  // Articles never written because the budget ran out are left for a resumed run
+  const articles = curatedArticles.filter(article => article.fullContent);
+
+  // Step 4: Choose the hero and featured articles (see homepage-selection.js)
+  const homepage = selectHomepage(articles);
+  console.log(`\n🏠 Homepage: hero "${homepage.hero?.headline ?? 'none'}" and ${homepage.featured.length} featured, ` +
+    `chosen from ${homepage.candidates} articles that passed fact-checking`);
+  // Nothing passed: no hero rather than leading with a denied story, and the reason for the review pages
+  const noHeroReason = homepage.hero ? null : `None of the ${articles.length} written articles passed fact-checking`;
+  if (noHeroReason) {
+    console.log(`   ⚠️ No hero: ${noHeroReason}`);
+  }
+  const unwritten = curatedArticles.length - articles.length;
+  if (unwritten > 0) {
+    console.log(`\n💸 ${unwritten} selected articles were not written (budget reached) - raise the budget and run with --resume to finish them`);
+  } else {
+    state.completedAt = new Date().toISOString();
+  }
+  saveRunState(state);
+  if (ledger.calls > 0) {
+    console.log(`\n💰 Run cost so far: ${formatUsd(state.spentUsd)} of ${formatUsd(ledger.budgetUsd)} ` +
+      `(${ledger.calls} calls this session, ${ledger.inputTokens} input / ${ledger.outputTokens} output tokens)`);
   }
 
-  // Log fact-check summary
-  const passedCount = curatedArticles.filter(a => a.factCheck?.passed).length;
-  const failedCount = curatedArticles.filter(a => a.factCheckFailed).length;
-  console.log(`\n✅ Fact-check complete: ${passedCount} passed, ${failedCount} flagged for review`);
+  // Source text is only needed while writing and fact-checking - keep it out of the published data
+  articles.forEach(article => {
+    delete article.sourceText;
+    delete article.sourceExcerpt;
+  });
 
-  // Step 3: Organize output
+  // Step 5: Organize output
   const output = {
     generatedAt: new Date().toISOString(),
     homepage: {
-      hero: curatedArticles.find(a => a.isHomepageHero) || curatedArticles[0],
-      featured: curatedArticles.filter(a => a.isHomepageFeatured).slice(0, 14)
+      hero: homepage.hero,
+      featured: homepage.featured,
+      ...(noHeroReason && { noHeroReason })
     },
     sections: {},
-    allArticles: curatedArticles
+    allArticles: articles
   };
 
   // Organize by section
   CATEGORIES.forEach(category => {
-    output.sections[category] = curatedArticles
+    output.sections[category] = articles
       .filter(a => a.category === category)
       .sort((a, b) => {
         // Homepage articles first, then by position
@@ -567,13 +726,13 @@ export async function runCuration() {
   // Save output
   const outputPath = path.join(DATA_DIR, 'curated-articles.json');
   fs.writeFileSync(outputPath, JSON.stringify(output, null, 2));
-  console.log(`\n✅ Saved ${curatedArticles.length} curated articles to ${outputPath}`);
+  console.log(`\n✅ Saved ${articles.length} curated articles to ${outputPath}`);
 
   // Save timestamp
   const metaPath = path.join(DATA_DIR, 'last-update.json');
   fs.writeFileSync(metaPath, JSON.stringify({
     updatedAt: new Date().toISOString(),
-    articleCount: curatedArticles.length,
+    articleCount: articles.length,
     categoryCounts: Object.fromEntries(
       CATEGORIES.map(cat => [cat, output.sections[cat].length])
     )
@@ -585,7 +744,24 @@ export async function runCuration() {
 // Run if called directly
 const isMainModule = process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1];
 if (isMainModule) {
-  runCuration().catch(err => {
+  const llmIndex = process.argv.indexOf('--llm');
+  const provider = createProvider(llmIndex !== -1 ? process.argv[llmIndex + 1] : undefined);
+  const regenerateIndex = process.argv.indexOf('--regenerate');
+  const regenerate = regenerateIndex !== -1 ? (process.argv[regenerateIndex + 1] || '').split(',').filter(Boolean) : [];
+
+  if (regenerate.length > 0 && !process.argv.includes('--resume')) {
+    console.error('--regenerate only applies with --resume (a fresh run writes everything anyway)');
+    process.exit(1);
+  }
+
+  const budgetIndex = process.argv.indexOf('--budget');
+  const budgetUsd = budgetIndex !== -1 ? Number(process.argv[budgetIndex + 1]) : undefined;
+  if (budgetUsd !== undefined && !(budgetUsd >= 0)) {
+    console.error('--budget takes an amount in USD, e.g. --budget 2.50');
+    process.exit(1);
+  }
+
+  runCuration({ provider, resume: process.argv.includes('--resume'), regenerate, budgetUsd }).catch(err => {
     console.error(err);
     process.exit(1);
   });
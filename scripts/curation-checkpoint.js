@@ -0,0 +1,83 @@
+/**
+ * Checkpoints for curation runs
+ *
+ * A curation run makes around a hundred model calls. Its progress is saved
+ * to data/curation-run.json after every selection batch, written article and
+ * fact-check, so `curate-with-ai.js --resume` can pick up where a crashed or
+ * rate-limited run stopped:
+ *   { startedAt, updatedAt, completedAt, input, provider,
+ *     batches: { total, done: [batch numbers] },
+ *     balanced: whether the cross-batch category balancing pass has run,
+ *     articles: [curated articles so far],
+ *     written: [article indices], factChecked: [article indices],
+ *     spentUsd: estimated model spend so far, across resumes }
+ * Articles are only ever appended, so indices stay valid across resumes.
+ * `input` fingerprints the raw articles; a run can't be resumed against
+ * different input.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const RUN_STATE_PATH = path.join(__dirname, '..', 'data', 'curation-run.json');
+
+// Same raw articles (by link and title, in order), same fingerprint
+export function inputFingerprint(rawArticles) {
+  const hash = crypto.createHash('sha1');
+  for (const article of rawArticles) {
+    hash.update(`${article.link}\n${article.title}\n`);
+  }
+  return hash.digest('hex').slice(0, 16);
+}
+
+export function newRunState({ input, provider, totalBatches }) {
+  return {
+    startedAt: new Date().toISOString(),
+    updatedAt: null,
+    completedAt: null,
+    input,
+    provider,
+    batches: { total: totalBatches, done: [] },
+    balanced: false,
+    articles: [],
+    written: [],
+    factChecked: [],
+    spentUsd: 0
+  };
+}
+
+export function loadRunState(statePath = RUN_STATE_PATH) {
+  if (!fs.existsSync(statePath)) return null;
+  return JSON.parse(fs.readFileSync(statePath, 'utf8'));
+}
+
+export function saveRunState(state, statePath = RUN_STATE_PATH) {
+  state.updatedAt = new Date().toISOString();
+  fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
+}
+
+/**
+ * Mark articles for rewriting and re-checking on the next resume.
+ * `slugs` may be ['all']. Returns the slugs that matched nothing.
+ */
+export function markForRegeneration(state, slugs) {
+  const all = slugs.includes('all');
+  const indices = state.articles
+    .map((article, index) => (all || slugs.includes(article.slug) ? index : -1))
+    .filter(index => index !== -1);
+
+  state.written = state.written.filter(index => !indices.includes(index));
+  state.factChecked = state.factChecked.filter(index => !indices.includes(index));
+
+  return all ? [] : slugs.filter(slug => !state.articles.some(article => article.slug === slug));
+}
+
+// One-line summary of a run's progress
+export function describeRunState(state) {
+  return `${state.batches.done.length}/${state.batches.total} batches, ` +
+    `${state.articles.length} articles selected, ${state.written.length} written, ${state.factChecked.length} fact-checked, ` +
+    `$${(state.spentUsd || 0).toFixed(2)} spent`;
+}
@@ -0,0 +1,144 @@
+/**
+ * Editor-managed block and allow rules from config/editorial-rules.json
+ *
+ *   block.domains  - never take items linking to these sites (subdomains included)
+ *   block.phrases  - never take items whose title or description contains these
+ *   block.topics   - named phrase lists ("politics": [...]), reported by topic name
+ *   allow.domains  - always take items from these sites, whatever their score
+ *   allow.phrases  - always take items mentioning these
+ *
+ * Allow rules win over block rules. Rules are checked against the title and
+ * description before scoring; the rule that fired is kept on the article as
+ * editorialRule. Allowed items skip the positivity filter, the recency window
+ * and the language drop, and are selected ahead of the category quotas.
+ *
+ * Check which rule a headline hits:
+ *   node scripts/editorial-rules.js "Senator opens new wind farm" [https://example.com/story]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const RULES_PATH = path.join(__dirname, '..', 'config', 'editorial-rules.json');
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whole-word, case-insensitive phrase matcher; any run of whitespace matches a space
+function phraseMatcher(phrase) {
+  const pattern = phrase.trim().split(/\s+/).map(escapeRegExp).join('\\s+');
+  return { phrase, regex: new RegExp(`\\b${pattern}\\b`, 'i') };
+}
+
+function normalizeDomain(domain) {
+  return domain.trim().toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/.*$/, '');
+}
+
+/**
+ * Load and compile the rules file. A missing file means no rules.
+ */
+export function loadEditorialRules(rulesPath = RULES_PATH) {
+  const raw = fs.existsSync(rulesPath) ? JSON.parse(fs.readFileSync(rulesPath, 'utf8')) : {};
+  const block = raw.block || {};
+  const allow = raw.allow || {};
+
+  return {
+    allowDomains: (allow.domains || []).map(normalizeDomain),
+    allowPhrases: (allow.phrases || []).map(phraseMatcher),
+    blockDomains: (block.domains || []).map(normalizeDomain),
+    blockPhrases: (block.phrases || []).map(phraseMatcher),
+    blockTopics: Object.entries(block.topics || {}).map(([topic, phrases]) => ({
+      topic,
+      matchers: phrases.map(phraseMatcher)
+    }))
+  };
+}
+
+// Hosts an item links to: its own link, plus the outlet behind aggregator links (Reddit)
+function articleHosts(article) {
+  const hosts = [];
+  for (const link of [article.link, article.sourceUrl]) {
+    try {
+      hosts.push(new URL(link).hostname.toLowerCase().replace(/^www\./, ''));
+    } catch (e) {
+      // No usable link
+    }
+  }
+  if (article.outletDomain) hosts.push(normalizeDomain(article.outletDomain));
+  return hosts;
+}
+
+function matchDomain(hosts, domains) {
+  return domains.find(domain => hosts.some(host => host === domain || host.endsWith(`.${domain}`)));
+}
+
+function matchPhrase(text, matchers) {
+  return matchers.find(({ regex }) => regex.test(text))?.phrase;
+}
+
+/**
+ * The rule an article hits, or null.
+ * Returns { action: 'allow' | 'block', rule, matched }, e.g.
+ * { action: 'block', rule: 'topic:politics', matched: 'election' }.
+ */
+export function matchEditorialRules(article, rules) {
+  const hosts = articleHosts(article);
+  const text = `${article.title || ''}\n${article.description || ''}`;
+
+  let matched = matchDomain(hosts, rules.allowDomains);
+  if (matched) return { action: 'allow', rule: `domain:${matched}`, matched };
+
+  matched = matchPhrase(text, rules.allowPhrases);
+  if (matched) return { action: 'allow', rule: `phrase:${matched}`, matched };
+
+  matched = matchDomain(hosts, rules.blockDomains);
+  if (matched) return { action: 'block', rule: `domain:${matched}`, matched };
+
+  matched = matchPhrase(text, rules.blockPhrases);
+  if (matched) return { action: 'block', rule: `phrase:${matched}`, matched };
+
+  for (const { topic, matchers } of rules.blockTopics) {
+    matched = matchPhrase(text, matchers);
+    if (matched) return { action: 'block', rule: `topic:${topic}`, matched };
+  }
+
+  return null;
+}
+
+// Items an allow rule guarantees a place in the raw articles
+export function isAlwaysIncluded(article) {
+  return article.editorialRule?.action === 'allow';
+}
+
+/**
+ * Count rule hits across articles that carry an editorialRule.
+ * Returns [{ action, rule, count, examples }], most hits first.
+ */
+export function summarizeRuleHits(articles) {
+  const hits = new Map();
+  for (const article of articles) {
+    if (!article.editorialRule) continue;
+    const { action, rule } = article.editorialRule;
+    const key = `${action} ${rule}`;
+    if (!hits.has(key)) hits.set(key, { action, rule, count: 0, examples: [] });
+    const hit = hits.get(key);
+    hit.count++;
+    if (hit.examples.length < 3) hit.examples.push(article.title);
+  }
+  return [...hits.values()].sort((a, b) => b.count - a.count);
+}
+
+// Run if called directly
+const isMainModule = process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1];
+if (isMainModule) {
+  const [title, link] = process.argv.slice(2);
+  if (!title) {
+    console.error('Usage: node scripts/editorial-rules.js "headline or description" [link]');
+    process.exit(1);
+  }
+  const hit = matchEditorialRules({ title, link }, loadEditorialRules());
+  console.log(hit ? `${hit.action === 'allow' ? 'Always include' : 'Blocked'}: ${hit.rule} ← "${hit.matched}"` : 'No rule matched');
+}
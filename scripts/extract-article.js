@@ -0,0 +1,195 @@
+/**
+ * Readability-style extraction of the main article text from a source page
+ *
+ * Finds the element that holds most of the page's paragraph text (preferring
+ * <article>, <main> and common "post body" containers), drops navigation,
+ * scripts and other boilerplate, and returns plain paragraphs.
+ *
+ * Run against a saved page or a URL to check what gets extracted:
+ *   node scripts/extract-article.js page.html
+ *   node scripts/extract-article.js https://example.com/story
+ */
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+// Cap stored text so prompts stay a reasonable size
+export const MAX_SOURCE_TEXT = 12000;
+
+// Paragraphs shorter than this are usually captions, bylines or buttons
+const MIN_PARAGRAPH_LENGTH = 40;
+
+// Elements that never hold article text
+const STRIP_TAGS = ['script', 'style', 'noscript', 'svg', 'iframe', 'nav', 'header', 'footer', 'aside', 'button', 'select', 'template'];
+
+// Class/id names that usually mark the article body
+const CONTENT_HINTS = /(article|post|entry|story)[-_]?(body|content|text)|main[-_]?content|articlebody|rich[-_]?text/i;
+
+// Paragraphs that are boilerplate rather than story
+const BOILERPLATE_PATTERNS = [
+  /appeared first on/i,
+  /all rights reserved/i,
+  /sign up (for|to) (our|the)/i,
+  /subscribe to (our|the)/i,
+  /newsletter/i,
+  /cookie/i,
+  /follow us on/i,
+  /share this (article|story)/i,
+  /click here/i,
+  /advertisement/i,
+  /read more:/i,
+  /^(image|photo)( credit)?:/i
+];
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“',
+  mdash: '—', ndash: '–', hellip: '…', copy: '©',
+  pound: '£', euro: '€', cent: '¢', yen: '¥'
+};
+
+// Numeric entities that aren't a character - zero, surrogates or past U+10FFFF - become U+FFFD, as in browsers
+function isValidCodePoint(code) {
+  return code > 0 && code <= 0x10ffff && !(code >= 0xd800 && code <= 0xdfff);
+}
+
+export function decodeEntities(text) {
+  return text.replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      if (Number.isNaN(code)) return match;
+      return isValidCodePoint(code) ? String.fromCodePoint(code) : '\uFFFD';
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+// Strip tags and collapse whitespace
+function toText(html) {
+  return decodeEntities(html.replace(/<[^>]+>/g, ' '))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Remove comments and elements that never contain article text
+function stripBoilerplate(html) {
+  let cleaned = html.replace(/<!--[\s\S]*?-->/g, '');
+  for (const tag of STRIP_TAGS) {
+    cleaned = cleaned.replace(new RegExp(`<${tag}\\b[^>]*>[\\s\\S]*?<\\/${tag}>`, 'gi'), '');
+  }
+  return cleaned;
+}
+
+// Return the full element starting at `start`, matching nested tags of the same name
+function sliceElement(html, start, tagName) {
+  const tagPattern = new RegExp(`<(/?)${tagName}\\b[^>]*>`, 'gi');
+  tagPattern.lastIndex = start;
+  let depth = 0;
+  let match;
+  while ((match = tagPattern.exec(html))) {
+    depth += match[1] ? -1 : 1;
+    if (depth === 0) {
+      return html.slice(start, tagPattern.lastIndex);
+    }
+  }
+  return html.slice(start);
+}
+
+// Candidate containers for the article body
+function findCandidates(html) {
+  const candidates = [];
+  const openTag = /<(article|main|div|section)\b([^>]*)>/gi;
+  let match;
+  while ((match = openTag.exec(html))) {
+    const [, tagName, attrs] = match;
+    const isSemantic = /^(article|main)$/i.test(tagName);
+    const classOrId = (attrs.match(/\b(?:class|id|itemprop)\s*=\s*["']([^"']*)["']/gi) || []).join(' ');
+    if (isSemantic || CONTENT_HINTS.test(classOrId)) {
+      candidates.push(sliceElement(html, match.index, tagName));
+    }
+  }
+  return candidates;
+}
+
+// Pull usable paragraphs out of a chunk of HTML
+function extractParagraphs(html) {
+  const paragraphs = [];
+  const paragraphPattern = /<p\b[^>]*>([\s\S]*?)<\/p>/gi;
+  let match;
+  while ((match = paragraphPattern.exec(html))) {
+    const inner = match[1];
+    const text = toText(inner);
+    if (text.length < MIN_PARAGRAPH_LENGTH) continue;
+    if (BOILERPLATE_PATTERNS.some(pattern => pattern.test(text))) continue;
+
+    // Skip link lists dressed up as paragraphs ("Related: ...")
+    const linkText = (inner.match(/<a\b[^>]*>[\s\S]*?<\/a>/gi) || []).map(toText).join(' ');
+    if (linkText.length / text.length > 0.5) continue;
+
+    paragraphs.push(text);
+  }
+  return paragraphs;
+}
+
+/**
+ * Extract the main article text from a page's HTML.
+ * Returns paragraphs joined by blank lines, or '' if nothing usable was found.
+ */
+export function extractArticleText(html) {
+  if (!html) return '';
+
+  const cleaned = stripBoilerplate(html);
+
+  // Score each candidate container by how much paragraph text it holds
+  let best = [];
+  let bestLength = 0;
+  for (const candidate of findCandidates(cleaned)) {
+    const paragraphs = extractParagraphs(candidate);
+    const length = paragraphs.reduce((sum, p) => sum + p.length, 0);
+    if (length > bestLength) {
+      best = paragraphs;
+      bestLength = length;
+    }
+  }
+
+  // Fall back to every paragraph on the page
+  if (best.length === 0) {
+    best = extractParagraphs(cleaned);
+  }
+
+  // Drop repeated paragraphs (pull quotes, mobile/desktop duplicates)
+  const unique = [...new Set(best)];
+
+  let text = unique.join('\n\n');
+  if (text.length > MAX_SOURCE_TEXT) {
+    text = text.slice(0, MAX_SOURCE_TEXT).replace(/\s+\S*$/, '') + '…';
+  }
+  return text;
+}
+
+// Run if called directly
+const isMainModule = process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1];
+if (isMainModule) {
+  const target = process.argv[2];
+  if (!target) {
+    console.error('Usage: node scripts/extract-article.js <file.html | url>');
+    process.exit(1);
+  }
+
+  const loadHtml = /^https?:\/\//.test(target)
+    ? fetch(target).then(response => response.text())
+    : Promise.resolve(fs.readFileSync(target, 'utf8'));
+
+  loadHtml
+    .then(html => {
+      const text = extractArticleText(html);
+      console.log(text || '(no article text found)');
+      console.error(`\n${text.length} characters extracted`);
+    })
+    .catch(err => {
+      console.error(err);
+      process.exit(1);
+    });
+}
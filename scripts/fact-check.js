@@ -0,0 +1,99 @@
+/**
+ * Claim-level fact-check verdicts
+ *
+ * Claude lists the claims in a generated article, each with a verdict and
+ * the source words that decide it (FACT_CHECK_SCHEMA). The overall result is
+ * worked out here, not taken from the model:
+ *   - every quoted source span is looked up in the source text; a "supported"
+ *     claim whose span can't be found there doesn't count as supported
+ *   - the article passes only if every claim is supported
+ *   - if the check couldn't be done at all (API error, no valid output, no
+ *     claims), the article is "unverified" - never passed
+ *
+ * Result stored as article.factCheck:
+ *   { status: 'passed' | 'failed' | 'unverified', passed, claims, issues, confidence, summary }
+ */
+
+// Compare text loosely: case, whitespace, curly quotes and dashes don't matter
+function normalize(text) {
+  return text
+    .toLowerCase()
+    .replace(/[‘’‛′]/g, "'")
+    .replace(/[“”„″]/g, '"')
+    .replace(/[‐‑‒–—]/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Whether a quoted span appears in the source. Spans shortened with an
+ * ellipsis match when every part is found, in order.
+ */
+export function spanInSource(span, sourceText) {
+  if (!span || !sourceText) return false;
+  const source = normalize(sourceText);
+  const parts = normalize(span)
+    .replace(/^["']|["']$/g, '')
+    .split(/\s*(?:\.\.\.|…)\s*/)
+    .filter(Boolean);
+  if (parts.length === 0) return false;
+
+  let from = 0;
+  for (const part of parts) {
+    const at = source.indexOf(part, from);
+    if (at === -1) return false;
+    from = at + part.length;
+  }
+  return true;
+}
+
+// Why a claim doesn't count as supported, or null if it does
+function claimProblem(claim) {
+  if (claim.verdict === 'contradicted') {
+    return `Contradicted by the source: "${claim.claim}"${claim.note ? ` (${claim.note})` : ''}`;
+  }
+  if (claim.verdict === 'unsupported') {
+    return `Not in the source: "${claim.claim}"${claim.note ? ` (${claim.note})` : ''}`;
+  }
+  if (!claim.spanFound) {
+    return `Supporting text not found in the source: "${claim.claim}"`;
+  }
+  return null;
+}
+
+/**
+ * Turn the checker's claims into the stored result.
+ * `sourceText` is the source material the checker was shown.
+ */
+export function evaluateClaims({ claims, confidence, summary }, sourceText) {
+  const checked = claims.map(claim => ({
+    claim: claim.claim,
+    verdict: claim.verdict,
+    sourceSpan: claim.sourceSpan ?? null,
+    spanFound: spanInSource(claim.sourceSpan, sourceText),
+    ...(claim.note && { note: claim.note })
+  }));
+  const issues = checked.map(claimProblem).filter(Boolean);
+  const status = issues.length === 0 ? 'passed' : 'failed';
+
+  return {
+    status,
+    passed: status === 'passed',
+    claims: checked,
+    issues,
+    confidence,
+    summary
+  };
+}
+
+// The result when the check couldn't be done
+export function unverifiedResult(reason) {
+  return {
+    status: 'unverified',
+    passed: false,
+    claims: [],
+    issues: [`Fact-check could not be completed: ${reason}`],
+    confidence: 'low',
+    summary: 'Not verified - treat as failed until checked'
+  };
+}
@@ -0,0 +1,214 @@
+/**
+ * On-disk cache for feed responses with conditional HTTP requests
+ *
+ * Every response body is saved under data/feed-cache/<YYYY-MM-DD>/<key>.json
+ * along with its ETag and Last-Modified headers. Later runs send
+ * If-None-Match / If-Modified-Since, and a 304 reuses the cached body.
+ * A day's responses can be replayed later without any network.
+ *
+ * Article text extracted from source pages is kept here too, under
+ * data/feed-cache/source-text/<key>.txt: the raw article JSON only carries
+ * sourceTextKey, so publishers' full text never lands in a committed file.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const CACHE_DIR = path.join(__dirname, '..', 'data', 'feed-cache');
+const VALIDATORS_PATH = path.join(CACHE_DIR, 'validators.json');
+const SOURCE_TEXT_DIR = path.join(CACHE_DIR, 'source-text');
+
+// Keep this many days of cached responses
+const RETENTION_DAYS = 14;
+
+const today = () => new Date().toISOString().split('T')[0];
+
+// Make a cache key safe to use as a file name
+function keyToFile(key) {
+  return key.toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-|-$/g, '') + '.json';
+}
+
+function cachePath(key, date) {
+  return path.join(CACHE_DIR, date, keyToFile(key));
+}
+
+function loadValidators() {
+  if (!fs.existsSync(VALIDATORS_PATH)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(VALIDATORS_PATH, 'utf8'));
+  } catch (e) {
+    return {};
+  }
+}
+
+// Read once per run and shared by every fetch: concurrent fetches each update their own
+// key in memory, so saving the whole map never drops another fetch's ETag/Last-Modified
+let sharedValidators = null;
+function getValidators() {
+  sharedValidators ??= loadValidators();
+  return sharedValidators;
+}
+
+function saveValidators(validators) {
+  fs.mkdirSync(CACHE_DIR, { recursive: true });
+  fs.writeFileSync(VALIDATORS_PATH, JSON.stringify(validators, null, 2));
+}
+
+function writeEntry(key, date, entry) {
+  const filePath = cachePath(key, date);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(entry, null, 2));
+  return filePath;
+}
+
+/**
+ * Fetch a URL, sending conditional headers from the last cached response.
+ * Returns { body, status, notModified }. Throws on network errors and non-2xx/304 responses
+ * (the error carries the HTTP status as error.status).
+ */
+export async function fetchWithCache(key, url, { headers = {}, timeout = 15000 } = {}) {
+  const validators = getValidators();
+  const previous = validators[key];
+  const previousPath = previous && path.join(CACHE_DIR, previous.date, keyToFile(key));
+  const canRevalidate = previous && fs.existsSync(previousPath);
+
+  const requestHeaders = { ...headers };
+  if (canRevalidate && previous.etag) requestHeaders['If-None-Match'] = previous.etag;
+  if (canRevalidate && previous.lastModified) requestHeaders['If-Modified-Since'] = previous.lastModified;
+
+  const response = await fetch(url, {
+    headers: requestHeaders,
+    signal: AbortSignal.timeout(timeout)
+  });
+
+  const date = today();
+
+  // Not modified - reuse the cached body and copy it into today's cache
+  if (response.status === 304 && canRevalidate) {
+    const entry = JSON.parse(fs.readFileSync(previousPath, 'utf8'));
+    entry.fetchedAt = new Date().toISOString();
+    entry.notModified = true;
+    writeEntry(key, date, entry);
+    validators[key] = { ...previous, date, checkedAt: entry.fetchedAt };
+    saveValidators(validators);
+    return { body: entry.body, status: 304, notModified: true };
+  }
+
+  if (!response.ok) {
+    const error = new Error(`HTTP ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  const body = await response.text();
+  const entry = {
+    key,
+    url,
+    fetchedAt: new Date().toISOString(),
+    status: response.status,
+    etag: response.headers.get('etag'),
+    lastModified: response.headers.get('last-modified'),
+    contentType: response.headers.get('content-type'),
+    notModified: false,
+    body
+  };
+  writeEntry(key, date, entry);
+
+  validators[key] = {
+    date,
+    etag: entry.etag,
+    lastModified: entry.lastModified,
+    checkedAt: entry.fetchedAt
+  };
+  saveValidators(validators);
+
+  return { body, status: response.status, notModified: false };
+}
+
+// Read a cached response for replay. Throws if nothing was cached for that day.
+export function readCachedResponse(key, date) {
+  const filePath = cachePath(key, date);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`No cached response for ${key} on ${date}`);
+  }
+  const entry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return { body: entry.body, status: entry.status, notModified: entry.notModified };
+}
+
+// List the days that have cached responses
+export function listCachedDates() {
+  if (!fs.existsSync(CACHE_DIR)) return [];
+  return fs.readdirSync(CACHE_DIR)
+    .filter(name => /^\d{4}-\d{2}-\d{2}$/.test(name))
+    .sort();
+}
+
+// Inbox releases can have no link, so their title identifies them instead
+function sourceTextKey(article) {
+  return crypto.createHash('sha1').update(article.link || article.title || '').digest('hex').slice(0, 16);
+}
+
+/**
+ * Move each article's sourceText into the cache, leaving sourceTextKey in its
+ * place. Call before writing articles to a committed JSON file.
+ */
+export function stashSourceTexts(articles) {
+  fs.mkdirSync(SOURCE_TEXT_DIR, { recursive: true });
+  for (const article of articles) {
+    if (!article.sourceText) continue;
+    const key = sourceTextKey(article);
+    fs.writeFileSync(path.join(SOURCE_TEXT_DIR, `${key}.txt`), article.sourceText);
+    article.sourceTextKey = key;
+    delete article.sourceText;
+  }
+  return articles;
+}
+
+/**
+ * Put the cached sourceText back on stashed articles. Articles whose text has
+ * gone from the cache (pruned, or fetched on another machine) keep only their
+ * description. Returns how many were missing.
+ */
+export function restoreSourceTexts(articles) {
+  let missing = 0;
+  for (const article of articles) {
+    if (!article.sourceTextKey) continue;
+    const filePath = path.join(SOURCE_TEXT_DIR, `${article.sourceTextKey}.txt`);
+    if (fs.existsSync(filePath)) {
+      article.sourceText = fs.readFileSync(filePath, 'utf8');
+    } else {
+      missing++;
+    }
+  }
+  return missing;
+}
+
+// Delete cached days, and the source text and validators saved before them, older than the retention window.
+// A validator is only usable while its day's body is cached, so one-off page fetches don't pile up forever.
+export function pruneFeedCache(retentionDays = RETENTION_DAYS) {
+  const cutoffMs = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+  const cutoff = new Date(cutoffMs).toISOString().split('T')[0];
+  let removed = 0;
+  for (const date of listCachedDates()) {
+    if (date < cutoff) {
+      fs.rmSync(path.join(CACHE_DIR, date), { recursive: true, force: true });
+      removed++;
+    }
+  }
+  if (fs.existsSync(SOURCE_TEXT_DIR)) {
+    for (const name of fs.readdirSync(SOURCE_TEXT_DIR)) {
+      const filePath = path.join(SOURCE_TEXT_DIR, name);
+      if (fs.statSync(filePath).mtimeMs < cutoffMs) fs.rmSync(filePath);
+    }
+  }
+  const validators = getValidators();
+  const expired = Object.keys(validators).filter(key => validators[key].date < cutoff);
+  if (expired.length > 0) {
+    expired.forEach(key => delete validators[key]);
+    saveValidators(validators);
+  }
+  return removed;
+}
@@ -0,0 +1,35 @@
+/**
+ * Fetch-stage settings from config/fetch.json
+ *
+ *   maxAgeDays     - drop items published longer ago than this (sources can override)
+ *   recencyWeight  - points a brand-new item gets on top of its positivity score when ranking
+ *   maxArticles    - how many raw articles are handed to curation
+ *   categoryQuotas - per-category { min, max } when picking those articles
+ *   language       - language the site publishes in (ISO 639-1)
+ *   otherLanguages - "drop" items detected in another language, or "translate" to queue them
+ *   maxTranslations - most queued items handed to curation for translation each run
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const FETCH_CONFIG_PATH = path.join(__dirname, '..', 'config', 'fetch.json');
+
+const DEFAULTS = {
+  maxAgeDays: 3,
+  recencyWeight: 4,
+  maxArticles: 100,
+  categoryQuotas: {},
+  language: 'en',
+  otherLanguages: 'drop',
+  maxTranslations: 10
+};
+
+export function loadFetchConfig(configPath = FETCH_CONFIG_PATH) {
+  if (!fs.existsSync(configPath)) {
+    return { ...DEFAULTS };
+  }
+  return { ...DEFAULTS, ...JSON.parse(fs.readFileSync(configPath, 'utf8')) };
+}
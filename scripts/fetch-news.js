@@ -1,331 +1,459 @@
 /**
- * Fetch positive news from RSS feeds and NewsAPI
+ * Fetch positive news from the sources in config/sources.json (RSS, Atom, JSON Feed, NewsAPI, Reddit, press inbox)
  * Target: ~100 raw articles for curation
  * Outputs to data/raw-articles.json
+ *
+ * Usage:
+ *   node scripts/fetch-news.js                      # live fetch (conditional requests, cached to disk)
+ *   node scripts/fetch-news.js --replay 2026-08-21  # rebuild from that day's cached responses, no network
  */
 
 import 'dotenv/config';
-import Parser from 'rss-parser';
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
+import { loadSources, isTrustedSource, getSourceWeight } from './source-registry.js';
+import { fetchWithCache, readCachedResponse, pruneFeedCache, stashSourceTexts } from './feed-cache.js';
+import { extractArticleText } from './extract-article.js';
+import { clusterStories, mergeClusters } from './story-clusters.js';
+import { scoreText } from './positivity-scorer.js';
+import { recordFetch, recordCounts, saveRunStats } from './source-health.js';
+import { loadFetchConfig } from './fetch-config.js';
+import { ageInHours, recencyFactor } from './pub-dates.js';
+import { selectWithQuotas } from './category-quotas.js';
+import { loadArchive, buildPublishedIndex, findPublishedMatch } from './published-index.js';
+import { canonicalizeUrl, extractCanonicalLink } from './canonical-url.js';
+import { loadEditorialRules, matchEditorialRules, summarizeRuleHits, isAlwaysIncluded } from './editorial-rules.js';
+import { detectLanguage } from './language-detect.js';
+import { getAdapter } from './adapters/index.js';
+import { loadQueryStats, saveQueryStats, harvestCuratedYields } from './newsapi-planner.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const DATA_DIR = path.join(__dirname, '..', 'data');
 
-// Load previously published articles to avoid duplicates
-function loadPublishedArticles() {
-  const archivePath = path.join(DATA_DIR, 'article-archive.json');
-  const publishedTitles = new Set();
-  const publishedUrls = new Set();
-
-  if (fs.existsSync(archivePath)) {
-    try {
-      const archive = JSON.parse(fs.readFileSync(archivePath, 'utf8'));
-      for (const article of archive.articles || []) {
-        // Normalize and store titles for comparison
-        if (article.headline) {
-          publishedTitles.add(normalizeTitle(article.headline));
-        }
-        // Also track source URLs
-        if (article.sourceUrl) {
-          publishedUrls.add(article.sourceUrl);
-        }
-      }
-      console.log(`Loaded ${publishedTitles.size} previously published articles for deduplication\n`);
-    } catch (e) {
-      console.log('Could not load article archive, skipping deduplication');
+// Index previously published articles to avoid duplicates
+function loadPublishedIndex() {
+  try {
+    const index = buildPublishedIndex(loadArchive());
+    if (index.size > 0) {
+      console.log(`Indexed ${index.size} previously published articles for deduplication\n`);
     }
+    return index;
+  } catch (e) {
+    console.log('Could not load article archive, skipping deduplication');
+    return buildPublishedIndex([]);
   }
-
-  return { publishedTitles, publishedUrls };
 }
 
-// Normalize a title for comparison (lowercase, remove punctuation, collapse spaces)
-function normalizeTitle(title) {
-  return title
-    .toLowerCase()
-    .replace(/[^a-z0-9\s]/g, '')
-    .replace(/\s+/g, ' ')
-    .trim()
-    .slice(0, 80); // Compare first 80 chars to catch slight variations
-}
-
-// Check if an article was previously published
-function wasPublished(article, publishedTitles, publishedUrls) {
-  // Check by URL first (most reliable)
-  if (article.link && publishedUrls.has(article.link)) {
-    return true;
-  }
+const REQUEST_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (compatible; NewsBot/1.0)'
+};
 
-  // Check by normalized title
-  const normalizedTitle = normalizeTitle(article.title);
-  if (publishedTitles.has(normalizedTitle)) {
-    return true;
+// Fetch a response body - from the network (conditional, cached) or, in replay mode, from the cache only
+async function fetchBody(key, url, { replayDate, headers = {} } = {}) {
+  if (replayDate) {
+    return readCachedResponse(key, replayDate);
   }
+  return fetchWithCache(key, url, { headers: { ...REQUEST_HEADERS, ...headers } });
+}
 
-  // Check for partial title match (catches rephrased headlines)
-  // If 70% of words match, consider it a duplicate
-  const titleWords = normalizedTitle.split(' ').filter(w => w.length > 3);
-  for (const pubTitle of publishedTitles) {
-    const pubWords = pubTitle.split(' ').filter(w => w.length > 3);
-    if (titleWords.length >= 4 && pubWords.length >= 4) {
-      const matchingWords = titleWords.filter(w => pubWords.includes(w));
-      const matchRatio = matchingWords.length / Math.min(titleWords.length, pubWords.length);
-      if (matchRatio >= 0.7) {
-        return true;
+// Fetch every enabled source through its adapter (see scripts/adapters/), then score and filter the items
+async function fetchFromSources(sources, options = {}) {
+  const articles = [];
+  const { healthStats = {}, replayDate, rules, excluded = [], config, otherLanguage = [], newsapiStats = null } = options;
+  const context = {
+    replayDate,
+    newsapiStats,
+    fetchBody: (key, url, { headers } = {}) => fetchBody(key, url, { replayDate, headers })
+  };
+
+  for (const source of sources) {
+    const startedAt = Date.now();
+    try {
+      console.log(`Fetching ${source.name}...`);
+      const result = await getAdapter(source.type).fetchItems(source, context);
+      if (result.skipped) {
+        console.log(`  Skipping: ${result.skipped}`);
+        continue;
+      }
+      if (result.notModified) {
+        console.log(`  (not modified, using cached feed)`);
       }
-    }
-  }
 
-  return false;
-}
+      const items = result.items;
 
-// Positive news RSS feeds - expanded for better coverage
-const RSS_FEEDS = [
-  // Dedicated positive news sources (high trust)
-  { url: 'https://www.positive.news/feed/', source: 'Positive News', category: 'general' },
-  { url: 'https://www.goodnewsnetwork.org/feed/', source: 'Good News Network', category: 'general' },
-  { url: 'https://reasonstobecheerful.world/feed/', source: 'Reasons to be Cheerful', category: 'general' },
-
-  // Climate & Environment
-  { url: 'https://www.theguardian.com/environment/rss', source: 'The Guardian Environment', category: 'climate' },
-  { url: 'https://www.sciencedaily.com/rss/top/environment.xml', source: 'Science Daily Environment', category: 'climate' },
-  { url: 'https://www.sciencedaily.com/rss/earth_climate.xml', source: 'Science Daily Climate', category: 'climate' },
-
-  // Health & Medicine
-  { url: 'https://www.sciencedaily.com/rss/health_medicine.xml', source: 'Science Daily Health', category: 'health' },
-  { url: 'https://www.sciencedaily.com/rss/mind_brain.xml', source: 'Science Daily Mind', category: 'health' },
-
-  // Science & Technology
-  { url: 'https://www.nature.com/nature.rss', source: 'Nature', category: 'science' },
-  { url: 'https://feeds.bbci.co.uk/news/science_and_environment/rss.xml', source: 'BBC Science', category: 'science' },
-  { url: 'https://www.sciencedaily.com/rss/top/science.xml', source: 'Science Daily Top', category: 'science' },
-
-  // Wildlife & Animals
-  { url: 'https://www.sciencedaily.com/rss/plants_animals.xml', source: 'Science Daily Animals', category: 'wildlife' },
-];
-
-// Keywords that indicate positive/constructive news
-const POSITIVE_KEYWORDS = [
-  'breakthrough', 'success', 'achieve', 'discover', 'cure', 'solve', 'improve',
-  'record', 'first', 'milestone', 'victory', 'win', 'protect', 'save', 'restore',
-  'recover', 'grow', 'increase', 'reduce pollution', 'clean energy', 'renewable',
-  'conservation', 'preserved', 'thriving', 'hope', 'progress', 'advance',
-  'treatment', 'vaccine', 'therapy', 'innovation', 'solution', 'rescued',
-  'recovery', 'healing', 'sustainable', 'green', 'solar', 'wind power',
-  'electric', 'recycling', 'biodiversity', 'reforestation', 'rewilding'
-];
-
-// Keywords that indicate negative news we want to filter out
-const NEGATIVE_KEYWORDS = [
-  'death', 'dies', 'killed', 'murder', 'attack', 'terror', 'war', 'crisis',
-  'disaster', 'catastrophe', 'collapse', 'crash', 'fear', 'threat', 'danger',
-  'scandal', 'corruption', 'fraud', 'violence', 'victim', 'tragedy', 'worst',
-  'devastating', 'alarming', 'warning', 'extinct', 'failed', 'failure'
-];
-
-const parser = new Parser({
-  timeout: 15000,
-  headers: {
-    'User-Agent': 'Mozilla/5.0 (compatible; NewsBot/1.0)'
-  }
-});
+      recordFetch(healthStats, source, {
+        outcome: result.notModified ? 'not-modified' : 'ok',
+        status: result.status,
+        latencyMs: Date.now() - startedAt,
+        items: items.length
+      });
 
-async function fetchRSSFeeds() {
-  const articles = [];
+      for (const article of items) {
+        article.canonicalUrl = canonicalizeUrl(article.link);
 
-  for (const feed of RSS_FEEDS) {
-    try {
-      console.log(`Fetching ${feed.source}...`);
-      const result = await parser.parseURL(feed.url);
-
-      // Get up to 20 articles per feed
-      for (const item of result.items.slice(0, 20)) {
-        const article = {
-          title: item.title || '',
-          link: item.link || '',
-          description: item.contentSnippet || item.content || item.description || '',
-          pubDate: item.pubDate || item.isoDate || new Date().toISOString(),
-          source: feed.source,
-          sourceUrl: item.link,
-          category: feed.category,
-        };
+        // Editor rules come first: blocked items are set aside, allowed ones skip the positivity filter
+        const ruleHit = rules ? matchEditorialRules(article, rules) : null;
+        if (ruleHit) {
+          article.editorialRule = ruleHit;
+        }
+        if (ruleHit?.action === 'block') {
+          excluded.push(article);
+          continue;
+        }
+
+        // The lexicon is English-only, so items in another language are set aside unscored -
+        // unless an editor rule always includes them, in which case curation translates them
+        const { language } = detectLanguage(`${article.title}. ${article.description}`);
+        if (language && config && language !== config.language) {
+          article.originalLanguage = language;
+          if (!isAlwaysIncluded(article)) {
+            otherLanguage.push(article);
+            continue;
+          }
+        }
+        if (language) {
+          article.language = language;
+        }
 
         // Score the article for positivity
-        article.positivityScore = scorePositivity(article);
+        const { score, breakdown } = scorePositivity(article, sources);
+        article.positivityScore = score;
+        article.scoreBreakdown = breakdown;
 
-        // Include articles with positive score, or from trusted positive news sources
-        if (article.positivityScore > 0 || ['Positive News', 'Good News Network', 'Reasons to be Cheerful'].includes(feed.source)) {
+        // Include articles with positive score, from trusted positive news sources, or allowed by an editor rule
+        if (article.positivityScore > 0 || isTrustedSource(source.name, sources) || ruleHit?.action === 'allow') {
           articles.push(article);
         }
       }
     } catch (error) {
-      console.error(`Error fetching ${feed.source}: ${error.message}`);
+      console.error(`Error fetching ${source.name}: ${error.message}`);
+      recordFetch(healthStats, source, {
+        outcome: 'error',
+        latencyMs: Date.now() - startedAt,
+        error: error.message
+      });
     }
   }
 
   return articles;
 }
 
-async function fetchNewsAPI() {
-  const apiKey = process.env.NEWS_API_KEY;
-  if (!apiKey) {
-    console.log('NEWS_API_KEY not set, skipping NewsAPI');
-    return [];
+// Source pages fetched at once when extracting full text
+const PAGE_FETCH_CONCURRENCY = 5;
+
+// Fetch each article's source page and store the main text as sourceText.
+// Articles whose page can't be fetched or parsed keep only their RSS snippet.
+// A <link rel="canonical"> on the page replaces the canonical URL guessed from the feed link.
+async function fetchSourceTexts(articles, options = {}) {
+  console.log(`\nExtracting full text for ${articles.length} articles...\n`);
+  let extracted = 0;
+
+  for (let i = 0; i < articles.length; i += PAGE_FETCH_CONCURRENCY) {
+    const chunk = articles.slice(i, i + PAGE_FETCH_CONCURRENCY);
+    await Promise.all(chunk.map(async article => {
+      // Inbox releases already carry their full text
+      if (!article.link || article.sourceText) return;
+      const key = `page-${crypto.createHash('sha1').update(article.link).digest('hex').slice(0, 16)}`;
+      try {
+        const { body } = await fetchBody(key, article.link, options);
+        const canonicalUrl = extractCanonicalLink(body, article.link);
+        if (canonicalUrl) {
+          article.canonicalUrl = canonicalUrl;
+        }
+        const text = extractArticleText(body);
+        if (text) {
+          article.sourceText = text;
+          extracted++;
+        }
+      } catch (error) {
+        console.log(`  Could not extract ${article.link}: ${error.message}`);
+      }
+    }));
   }
 
-  const articles = [];
+  console.log(`  ✓ Extracted full text for ${extracted}/${articles.length} articles`);
+  return extracted;
+}
 
-  // Expanded queries for better coverage across categories
-  const queries = [
-    // Science & breakthroughs
-    { q: 'scientific breakthrough', category: 'science' },
-    { q: 'medical breakthrough', category: 'health' },
-    { q: 'new treatment approved', category: 'health' },
-    { q: 'disease cure', category: 'health' },
-
-    // Climate & environment
-    { q: 'renewable energy record', category: 'climate' },
-    { q: 'climate solution', category: 'climate' },
-    { q: 'solar power milestone', category: 'climate' },
-    { q: 'wind energy record', category: 'climate' },
-
-    // Wildlife & conservation
-    { q: 'conservation success', category: 'wildlife' },
-    { q: 'species recovery', category: 'wildlife' },
-    { q: 'wildlife protection', category: 'wildlife' },
-    { q: 'endangered species saved', category: 'wildlife' },
-
-    // People & community
-    { q: 'community success story', category: 'people' },
-    { q: 'humanitarian achievement', category: 'people' },
-  ];
-
-  for (const { q, category } of queries) {
-    try {
-      console.log(`Fetching NewsAPI: ${q}...`);
-      const url = `https://newsapi.org/v2/everything?q=${encodeURIComponent(q)}&sortBy=publishedAt&pageSize=10&language=en&apiKey=${apiKey}`;
-      const response = await fetch(url);
-      const data = await response.json();
-
-      if (data.articles) {
-        for (const item of data.articles) {
-          // Skip articles with [Removed] content (NewsAPI limitation)
-          if (item.title === '[Removed]' || item.description === '[Removed]') continue;
-
-          const article = {
-            title: item.title || '',
-            link: item.url || '',
-            description: item.description || '',
-            pubDate: item.publishedAt || new Date().toISOString(),
-            source: item.source?.name || 'NewsAPI',
-            sourceUrl: item.url,
-            category: category,
-            author: item.author,
-          };
-
-          article.positivityScore = scorePositivity(article);
-
-          if (article.positivityScore > 0) {
-            articles.push(article);
-          }
-        }
-      }
-    } catch (error) {
-      console.error(`Error fetching NewsAPI (${q}): ${error.message}`);
+// Page canonical URLs can reveal duplicates the feed links hid: drop selected articles
+// that turn out to be already published, and fold ones that share a page into the first
+function dropCanonicalDuplicates(articles, publishedIndex) {
+  const kept = [];
+  const byCanonical = new Map();
+  for (const article of articles) {
+    const match = findPublishedMatch(publishedIndex, { canonicalUrl: article.canonicalUrl });
+    if (match) {
+      console.log(`  Skipping duplicate: ${article.title.slice(0, 50)}...`);
+      console.log(`    page is "${match.article.headline.slice(0, 50)}" (${match.article.publishedDate}, by canonical url)`);
+      continue;
     }
+
+    const first = article.canonicalUrl && byCanonical.get(article.canonicalUrl);
+    if (first) {
+      first.additionalSources = [
+        ...(first.additionalSources || []),
+        { source: article.source, title: article.title, link: article.link }
+      ];
+      continue;
+    }
+
+    if (article.canonicalUrl) byCanonical.set(article.canonicalUrl, article);
+    kept.push(article);
   }
+  return kept;
+}
 
-  return articles;
+// Items detected in another language are dropped, or with otherLanguages "translate",
+// the newest unpublished ones are queued for curation to translate
+function buildTranslationQueue(otherLanguage, publishedIndex, sources, config, now) {
+  const byLanguage = {};
+  for (const article of otherLanguage) {
+    byLanguage[article.originalLanguage] = (byLanguage[article.originalLanguage] || 0) + 1;
+  }
+  const languages = Object.entries(byLanguage).map(([language, count]) => `${language} ${count}`).join(', ');
+
+  let queue = [];
+  if (config.otherLanguages === 'translate') {
+    queue = otherLanguage
+      .filter(article => !article.pubDate || ageInHours(article.pubDate, now) <= maxAgeDaysFor(article, sources, config) * 24)
+      .filter(article => !findPublishedMatch(publishedIndex, article))
+      .sort((a, b) => (b.pubDate || '').localeCompare(a.pubDate || ''))
+      .slice(0, config.maxTranslations);
+  }
+
+  if (otherLanguage.length > 0) {
+    const outcome = config.otherLanguages === 'translate'
+      ? `queued ${queue.length} for translation`
+      : 'dropped';
+    console.log(`\n🌐 ${otherLanguage.length} items not in "${config.language}" (${languages}): ${outcome}`);
+  }
+
+  return queue;
 }
 
-function scorePositivity(article) {
-  const text = `${article.title} ${article.description}`.toLowerCase();
-  let score = 0;
+// Print which editor rules fired this run and save the blocked items for review
+function reportRuleHits(excluded, fetchedArticles) {
+  const hits = summarizeRuleHits([...excluded, ...fetchedArticles]);
+  fs.writeFileSync(path.join(DATA_DIR, 'excluded-articles.json'), JSON.stringify(excluded, null, 2));
+  if (hits.length === 0) return;
 
-  // Check for negative keywords (disqualify)
-  for (const keyword of NEGATIVE_KEYWORDS) {
-    if (text.includes(keyword)) {
-      score -= 10;
-    }
+  const forced = fetchedArticles.filter(isAlwaysIncluded).length;
+  console.log(`\n📏 Editorial rules: ${excluded.length} excluded, ${forced} always included`);
+  for (const { action, rule, count, examples } of hits) {
+    console.log(`  ${action === 'block' ? '✗' : '✓'} ${rule.padEnd(32)} ${String(count).padStart(3)}  e.g. "${examples[0].slice(0, 50)}"`);
   }
+}
+
+// Recency window for an article: its source's maxAgeDays, or the global setting
+function maxAgeDaysFor(article, sources, config) {
+  return sources.find(s => s.id === article.sourceId)?.maxAgeDays ?? config.maxAgeDays;
+}
 
-  // Check for positive keywords
-  for (const keyword of POSITIVE_KEYWORDS) {
-    if (text.includes(keyword)) {
-      score += 2;
+// Drop items older than their source's recency window (unless an editor rule always includes them)
+// and flag items with no usable date
+function applyRecencyWindow(articles, sources, config, now) {
+  let stale = 0;
+  let undated = 0;
+  const recent = articles.filter(article => {
+    if (!article.pubDate) {
+      article.dateMissing = true;
+      undated++;
+      return true;
     }
-  }
+    if (ageInHours(article.pubDate, now) > maxAgeDaysFor(article, sources, config) * 24 && !isAlwaysIncluded(article)) {
+      stale++;
+      return false;
+    }
+    return true;
+  });
 
-  // Bonus for coming from dedicated positive news sources
-  if (['Positive News', 'Good News Network', 'Reasons to be Cheerful'].includes(article.source)) {
-    score += 5;
+  if (stale > 0) {
+    console.log(`\n🕰️  Dropped ${stale} items older than the recency window`);
+  }
+  if (undated > 0) {
+    console.log(`⚠️  ${undated} items have no publication date (flagged with dateMissing)`);
   }
+  return recent;
+}
 
-  return score;
+// Score an article with the lexicon in config/lexicon.json plus its source's weight.
+// The breakdown records which terms fired so editors can see why a story got in or was dropped.
+function scorePositivity(article, sources) {
+  const { score: lexiconScore, terms } = scoreText(`${article.title}. ${article.description}`);
+  const sourceWeight = getSourceWeight(article.source, sources);
+
+  return {
+    score: lexiconScore + sourceWeight,
+    breakdown: { lexiconScore, sourceWeight, terms }
+  };
 }
 
 // Export for use as module
-export async function fetchAllNews() {
+export async function fetchAllNews({ replayDate = null } = {}) {
   console.log('=== Fetching positive news ===\n');
 
+  if (replayDate) {
+    console.log(`Replaying cached responses from ${replayDate} (no network)\n`);
+  }
+
+  // Ages are measured from when the fetch ran: for a replay, the end of that day
+  const now = replayDate ? Date.parse(`${replayDate}T23:59:59.999Z`) : Date.now();
+
   // Ensure data directory exists
   if (!fs.existsSync(DATA_DIR)) {
     fs.mkdirSync(DATA_DIR, { recursive: true });
   }
 
-  // Load previously published articles for deduplication
-  const { publishedTitles, publishedUrls } = loadPublishedArticles();
+  // Index previously published articles for deduplication
+  const publishedIndex = loadPublishedIndex();
+
+  // Load enabled sources from config/sources.json
+  const sources = loadSources();
+  const config = loadFetchConfig();
+  const rules = loadEditorialRules();
+  console.log(`Loaded ${sources.length} enabled sources\n`);
 
   // Fetch from all sources
-  const rssArticles = await fetchRSSFeeds();
-  const newsApiArticles = await fetchNewsAPI();
-
-  // Combine all articles
-  const allArticles = [...rssArticles, ...newsApiArticles];
-
-  // Deduplicate within current batch
-  const seen = new Set();
-  const uniqueArticles = allArticles.filter(article => {
-    const key = article.title.toLowerCase().slice(0, 50);
-    if (seen.has(key)) return false;
-    seen.add(key);
-    return true;
+  // Per-source outcome, latency and yield for data/source-health.json
+  const healthStats = {};
+
+  // Items blocked by an editor rule, saved to data/excluded-articles.json
+  const excluded = [];
+  // Items detected in a language other than config.language
+  const otherLanguage = [];
+
+  // NewsAPI query yields and today's request count (data/newsapi-queries.json): curated stories
+  // are credited to their queries before planning, and the stats saved after. Replays leave them alone.
+  let newsapiStats = null;
+  if (!replayDate && sources.some(source => source.type === 'newsapi')) {
+    newsapiStats = loadQueryStats();
+    const credited = harvestCuratedYields(newsapiStats);
+    if (credited > 0) {
+      console.log(`Credited ${credited} curated stories to their NewsAPI queries\n`);
+    }
+  }
+
+  const fetchedArticles = await fetchFromSources(sources, { replayDate, healthStats, rules, excluded, config, otherLanguage, newsapiStats });
+
+  if (newsapiStats) {
+    saveQueryStats(newsapiStats);
+  }
+
+  if (!replayDate) {
+    const pruned = pruneFeedCache();
+    if (pruned > 0) {
+      console.log(`Pruned ${pruned} old day(s) from the feed cache`);
+    }
+  }
+
+  recordCounts(healthStats, 'passed', fetchedArticles);
+
+  // Keep only items inside the recency window
+  const allArticles = applyRecencyWindow(fetchedArticles, sources, config, now);
+
+  // Group the same story from different outlets; always-included items, then trusted sources, are preferred as the primary
+  const clusters = clusterStories(allArticles, {
+    rank: article => [
+      isAlwaysIncluded(article) ? 1 : 0,
+      isTrustedSource(article.source, sources) ? 1 : 0,
+      article.positivityScore,
+      article.description.length
+    ]
   });
+  const uniqueArticles = mergeClusters(clusters);
+
+  const multiOutlet = clusters.filter(c => c.members.length > 1);
+  if (multiOutlet.length > 0) {
+    console.log(`\n🔗 Merged ${allArticles.length - uniqueArticles.length} duplicate items into ${multiOutlet.length} multi-outlet stories`);
+  }
 
   // Filter out previously published articles
   const freshArticles = uniqueArticles.filter(article => {
-    const isDuplicate = wasPublished(article, publishedTitles, publishedUrls);
-    if (isDuplicate) {
+    const match = findPublishedMatch(publishedIndex, article);
+    if (match) {
+      const similarity = match.matchedBy === 'similar title' ? ` ${Math.round(match.similarity * 100)}%` : '';
       console.log(`  Skipping duplicate: ${article.title.slice(0, 50)}...`);
+      console.log(`    matches "${match.article.headline.slice(0, 50)}" (${match.article.publishedDate}, by ${match.matchedBy}${similarity})`);
     }
-    return !isDuplicate;
+    return !match;
   });
 
+  recordCounts(healthStats, 'unique', freshArticles);
+
+  // Replays re-run an old fetch, so they don't count towards source health
+  if (!replayDate) {
+    saveRunStats(healthStats);
+  }
+
   const skippedCount = uniqueArticles.length - freshArticles.length;
   if (skippedCount > 0) {
     console.log(`\n📋 Filtered out ${skippedCount} previously published articles`);
   }
 
-  // Sort by positivity score
-  freshArticles.sort((a, b) => b.positivityScore - a.positivityScore);
+  // Rank by positivity plus a recency bonus (newest items get up to recencyWeight points)
+  for (const article of freshArticles) {
+    const factor = recencyFactor(article.pubDate, maxAgeDaysFor(article, sources, config), now);
+    article.recencyScore = Math.round(config.recencyWeight * factor * 100) / 100;
+    article.rankScore = article.positivityScore + article.recencyScore;
+  }
+  freshArticles.sort((a, b) => b.rankScore - a.rankScore);
+
+  // Take the top articles (100 by default), with per-category minimums and maximums;
+  // items an editor rule always includes are taken first
+  const { selected: topArticles, counts, shortfalls } = selectWithQuotas(freshArticles, {
+    total: config.maxArticles,
+    quotas: config.categoryQuotas,
+    alwaysInclude: isAlwaysIncluded
+  });
+
+  const available = {};
+  for (const article of freshArticles) {
+    available[article.category] = (available[article.category] || 0) + 1;
+  }
+  console.log('\nCategory breakdown (selected / available):');
+  for (const category of Object.keys(available).sort()) {
+    console.log(`  ${category.padEnd(9)} ${String(counts[category] || 0).padStart(3)} / ${available[category]}`);
+  }
+  for (const { category, min, available: found } of shortfalls) {
+    console.log(`  ⚠️ ${category}: only ${found} fresh articles, below the minimum of ${min}`);
+  }
 
-  // Take top 100 articles
-  const topArticles = freshArticles.slice(0, 100);
+  // Pull the full story text from each source page for curation and fact-checking
+  await fetchSourceTexts(topArticles, { replayDate });
+  const finalArticles = dropCanonicalDuplicates(topArticles, publishedIndex);
 
-  console.log(`\n✅ Found ${topArticles.length} fresh positive articles (from ${allArticles.length} total fetched)\n`);
+  reportRuleHits(excluded, fetchedArticles);
+
+  // Saved even when empty, so curation never picks up an old queue
+  const translationQueue = buildTranslationQueue(otherLanguage, publishedIndex, sources, config, now);
+  if (translationQueue.length > 0) {
+    await fetchSourceTexts(translationQueue, { replayDate });
+  }
+  // Extracted text stays in the (uncommitted) feed cache; the JSON files only point at it
+  fs.writeFileSync(path.join(DATA_DIR, 'translation-queue.json'), JSON.stringify(stashSourceTexts(translationQueue), null, 2));
+
+  console.log(`\n✅ Found ${finalArticles.length} fresh positive articles (from ${fetchedArticles.length} total fetched)\n`);
 
   // Save to file
   const outputPath = path.join(DATA_DIR, 'raw-articles.json');
-  fs.writeFileSync(outputPath, JSON.stringify(topArticles, null, 2));
+  fs.writeFileSync(outputPath, JSON.stringify(stashSourceTexts(finalArticles), null, 2));
   console.log(`Saved to ${outputPath}`);
 
-  return topArticles;
+  return finalArticles;
 }
 
 // Run if called directly
 const isMainModule = process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1];
 if (isMainModule) {
-  fetchAllNews().catch(console.error);
+  const replayIndex = process.argv.indexOf('--replay');
+  const replayDate = replayIndex !== -1 ? process.argv[replayIndex + 1] : null;
+
+  if (replayIndex !== -1 && !/^\d{4}-\d{2}-\d{2}$/.test(replayDate || '')) {
+    console.error('Usage: node scripts/fetch-news.js --replay YYYY-MM-DD');
+    process.exit(1);
+  }
+
+  fetchAllNews({ replayDate }).catch(console.error);
 }
@@ -6,16 +6,20 @@
  * 2. Updates homepage with 10-15 featured stories linking to internal pages
  * 3. Updates section pages (climate, health, science, wildlife, people) with 10-20 stories each
  * 4. Maintains permanent article URLs - articles stay at same URL forever
+ * 5. Generates an author page in /authors/[id].html for each persona in config/authors.json
  */
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { canonicalizeUrl } from './canonical-url.js';
+import { loadAuthors, findAuthor } from './author-registry.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT_DIR = path.join(__dirname, '..');
 const DATA_DIR = path.join(ROOT_DIR, 'data');
 const ARTICLES_DIR = path.join(ROOT_DIR, 'articles');
+const AUTHORS_DIR = path.join(ROOT_DIR, 'authors');
 
 // Category configuration
 const CATEGORIES = ['climate', 'health', 'science', 'wildlife', 'people'];
@@ -225,42 +229,30 @@ function escapeHtml(text) {
     .replace(/'/g, '&#039;');
 }
 
-// Generate full article HTML page
-function generateArticleHTML(article) {
-  const category = article.category || 'people';
-  const categoryColor = CATEGORY_COLORS[category];
-  const today = formatDate(new Date());
+// Section links in the order the site's nav shows them
+const NAV_SECTIONS = ['climate', 'health', 'science', 'people', 'wildlife'];
+
+function generateNavLinksHTML(linkClass, activeCategory, indent) {
+  return [
+    `<a href="../index.html" class="${linkClass}">Today</a>`,
+    ...NAV_SECTIONS.map(section =>
+      `<a href="../${section}.html" class="${linkClass}${section === activeCategory ? ' active' : ''}">${capitalize(section)}</a>`),
+    `<a href="../cats.html" class="${linkClass}">Cats</a>`
+  ].join(`\n${indent}`);
+}
+
+/**
+ * The page every generated page (articles/ and authors/, one folder below the
+ * site root) is built in: head, site styles, header, mobile menu, footer and
+ * scripts. Pages pass their own markup and styles; `accentColor` sets
+ * --category-color and `activeCategory` highlights a section in the nav.
+ */
+function generatePageHTML({ title, description, accentColor, activeCategory, styles, tabletStyles = '', mobileStyles = '', content }) {
   const now = new Date();
   const isoTimestamp = now.toISOString();
   const fallbackTimestamp = formatUpdateTimestamp(now);
-  const imageUrl = getImage(article, 0).replace('w=800', 'w=1920');
-
-  // Get related articles (we'll populate this later)
-  const fullContent = article.fullContent || { lead: article.excerpt, body: [], pullQuote: null };
-
-  // Build body paragraphs - handle both new format (objects with subheading/content) and old format (plain strings)
-  const bodyParagraphs = (fullContent.body || [])
-    .map(p => {
-      if (typeof p === 'string') {
-        // Old format: plain string paragraph
-        return `            <p>${escapeHtml(p)}</p>`;
-      } else if (p && typeof p === 'object') {
-        // New format: object with subheading and content
-        const subheading = p.subheading ? `            <h3>${escapeHtml(p.subheading)}</h3>\n` : '';
-        const content = (p.content || '')
-          .split('\n\n')
-          .filter(para => para.trim())
-          .map(para => `            <p>${escapeHtml(para.trim())}</p>`)
-          .join('\n\n');
-        return subheading + content;
-      }
-      return '';
-    })
-    .join('\n\n');
-
-  // Build pull quote if exists
-  const pullQuoteHtml = fullContent.pullQuote
-    ? `\n            <blockquote>${escapeHtml(fullContent.pullQuote)}</blockquote>\n`
+  const descriptionMeta = description
+    ? `\n    <meta name="description" content="${escapeHtml(description)}">`
     : '';
 
   return `<!DOCTYPE html>
@@ -269,7 +261,7 @@ function generateArticleHTML(article) {
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <link rel="icon" href="../favicon.svg" type="image/svg+xml">
-    <title>${escapeHtml(article.headline)} | News That's Not Crap</title>
+    <title>${escapeHtml(title)} | News That's Not Crap</title>${descriptionMeta}
     <link rel="preconnect" href="https://fonts.googleapis.com">
     <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
     <link href="https://fonts.googleapis.com/css2?family=Nunito:wght@400;500;600;700;800;900&family=Instrument+Serif:ital@0;1&display=swap" rel="stylesheet">
@@ -298,7 +290,7 @@ function generateArticleHTML(article) {
             --radius-md: 1rem;
             --radius-lg: 1.5rem;
             --radius-pill: 100px;
-            --category-color: ${categoryColor};
+            --category-color: ${accentColor};
         }
 
         * { margin: 0; padding: 0; box-sizing: border-box; }
@@ -342,42 +334,7 @@ function generateArticleHTML(article) {
         .mobile-nav-link { color: var(--white); font-size: 1.25rem; font-weight: 800; text-transform: uppercase; letter-spacing: 0.5px; padding: 0.9rem 0; border-radius: 0; background: transparent; transition: all 0.2s ease; border-bottom: 1px solid rgba(255,255,255,0.1); }
         .mobile-nav-link:hover, .mobile-nav-link.active { color: var(--wgac-teal); background: transparent; }
 
-        /* Article Hero */
-        .article-hero { position: relative; height: 70vh; min-height: 500px; max-height: 700px; overflow: hidden; }
-        .article-hero img { width: 100%; height: 100%; object-fit: cover; }
-        .article-hero-overlay { position: absolute; inset: 0; background: linear-gradient(to top, rgba(0,0,0,0.8) 0%, rgba(0,0,0,0.3) 50%, rgba(0,0,0,0.1) 100%); }
-        .article-hero-content { position: absolute; bottom: 0; left: 0; right: 0; padding: 4rem; max-width: 900px; margin: 0 auto; text-align: center; }
-        .article-tag { display: inline-block; background: var(--category-color); color: white; padding: 0.4rem 1rem; font-weight: 800; font-size: 0.7rem; text-transform: uppercase; letter-spacing: 1px; margin-bottom: 1.5rem; border-radius: var(--radius-pill); }
-        .article-hero h1 { font-family: var(--font-serif); font-size: clamp(2.5rem, 5vw, 3.5rem); font-weight: 400; line-height: 1.15; color: white; margin-bottom: 1.5rem; }
-        .article-meta { color: rgba(255,255,255,0.7); font-size: 0.9rem; font-weight: 600; }
-        .article-meta span { margin: 0 0.75rem; }
-
-        /* Article Content */
-        .article-content { max-width: 700px; margin: 0 auto; padding: 4rem 2rem; }
-        .article-lead { font-size: 1.35rem; line-height: 1.7; color: var(--dark); margin-bottom: 2rem; font-weight: 500; }
-        .article-body p { font-size: 1.1rem; line-height: 1.8; margin-bottom: 1.5rem; color: var(--gray-600); }
-        .article-body h2 { font-family: var(--font-display); font-size: 1.75rem; font-weight: 900; margin: 3rem 0 1.5rem; color: var(--dark); }
-        .article-body h3 { font-family: var(--font-display); font-size: 1.35rem; font-weight: 800; margin: 2.5rem 0 1rem; color: var(--dark); }
-        .article-body blockquote { border-left: 4px solid var(--category-color); padding-left: 1.5rem; margin: 2rem 0; font-family: var(--font-serif); font-size: 1.4rem; font-style: italic; color: var(--dark); border-radius: 0 var(--radius-sm) var(--radius-sm) 0; }
-
-        .sources-box { margin-top: 3rem; padding: 2rem; background: var(--gray-100); border-left: 4px solid var(--category-color); border-radius: 0 var(--radius-md) var(--radius-md) 0; }
-        .sources-box h3 { font-family: var(--font-body); font-size: 0.8rem; font-weight: 800; text-transform: uppercase; letter-spacing: 1px; color: var(--gray-600); margin-bottom: 1rem; }
-        .sources-box ul { list-style: none; }
-        .sources-box li { margin-bottom: 0.5rem; }
-        .sources-box a { color: var(--category-color); font-size: 0.9rem; font-weight: 600; text-decoration: none; border-bottom: 1px solid transparent; transition: border-color 0.2s ease; }
-        .sources-box a:hover { border-bottom-color: var(--category-color); }
-
-        /* Related Articles */
-        .related-section { background: var(--gray-100); padding: 4rem 2rem; margin-top: 4rem; }
-        .related-inner { max-width: 1200px; margin: 0 auto; }
-        .related-title { font-family: var(--font-display); font-size: 1.5rem; font-weight: 900; margin-bottom: 2rem; padding-bottom: 1rem; border-bottom: 3px solid var(--dark); }
-        .related-grid { display: grid; grid-template-columns: repeat(3, 1fr); gap: 1.5rem; }
-        .related-card { background: white; border-radius: var(--radius-lg); overflow: hidden; cursor: pointer; transition: transform 0.2s ease, box-shadow 0.2s ease; }
-        .related-card:hover { transform: translateY(-4px); box-shadow: 0 8px 30px rgba(0,0,0,0.1); }
-        .related-card:hover h4 { color: var(--wgac-blue); }
-        .related-card img { width: 100%; height: 180px; object-fit: cover; display: block; }
-        .related-card-content { padding: 1.25rem; }
-        .related-card h4 { font-family: var(--font-display); font-size: 1.1rem; font-weight: 800; line-height: 1.35; transition: color 0.2s ease; }
+${styles}
 
         /* Footer */
         .site-footer { background: var(--dark); color: var(--white); padding: 4rem 2rem; }
@@ -400,7 +357,7 @@ function generateArticleHTML(article) {
 
         /* Responsive */
         @media (max-width: 1024px) {
-            .related-grid { grid-template-columns: 1fr; }
+${tabletStyles}
             .footer-content { flex-direction: column; gap: 3rem; }
         }
         @media (max-width: 768px) {
@@ -411,16 +368,7 @@ function generateArticleHTML(article) {
             .logo-text { font-size: 1.1rem; }
             .crap-box { padding: 0.3rem 0.5rem; }
             .crap-box img { height: 1rem; }
-            .article-hero { height: 50vh; min-height: 350px; }
-            .article-hero-content { padding: 1.5rem 1rem; text-align: left; }
-            .article-hero h1 { font-size: clamp(1.5rem, 6vw, 2rem); }
-            .article-meta { display: flex; flex-wrap: wrap; gap: 0.25rem 0.5rem; font-size: 0.8rem; }
-            .article-meta span { margin: 0; }
-            .article-meta span:nth-child(2), .article-meta span:nth-child(4) { display: none; }
-            .article-content { padding: 2rem 1.5rem; }
-            .article-lead { font-size: 1.15rem; }
-            .article-body p { font-size: 1rem; }
-            .article-body blockquote { font-size: 1.15rem; padding-left: 1rem; }
+${mobileStyles}
             .site-footer { padding: 2.5rem 1rem; }
             .footer-nav { flex-direction: column; gap: 2rem; }
         }
@@ -439,13 +387,7 @@ function generateArticleHTML(article) {
                 <div class="crap-box"><img src="../crap-logo-white.png" alt="crap"></div>
             </a>
             <nav class="main-nav">
-                <a href="../index.html" class="nav-link">Today</a>
-                <a href="../climate.html" class="nav-link${category === 'climate' ? ' active' : ''}">Climate</a>
-                <a href="../health.html" class="nav-link${category === 'health' ? ' active' : ''}">Health</a>
-                <a href="../science.html" class="nav-link${category === 'science' ? ' active' : ''}">Science</a>
-                <a href="../people.html" class="nav-link${category === 'people' ? ' active' : ''}">People</a>
-                <a href="../wildlife.html" class="nav-link${category === 'wildlife' ? ' active' : ''}">Wildlife</a>
-                <a href="../cats.html" class="nav-link">Cats</a>
+                ${generateNavLinksHTML('nav-link', activeCategory, '                ')}
             </nav>
             <button class="hamburger" aria-label="Menu" aria-expanded="false">
                 <span></span>
@@ -458,13 +400,7 @@ function generateArticleHTML(article) {
     <!-- Mobile Menu -->
     <div class="mobile-menu" id="mobileMenu">
         <nav class="mobile-nav">
-            <a href="../index.html" class="mobile-nav-link">Today</a>
-            <a href="../climate.html" class="mobile-nav-link${category === 'climate' ? ' active' : ''}">Climate</a>
-            <a href="../health.html" class="mobile-nav-link${category === 'health' ? ' active' : ''}">Health</a>
-            <a href="../science.html" class="mobile-nav-link${category === 'science' ? ' active' : ''}">Science</a>
-            <a href="../people.html" class="mobile-nav-link${category === 'people' ? ' active' : ''}">People</a>
-            <a href="../wildlife.html" class="mobile-nav-link${category === 'wildlife' ? ' active' : ''}">Wildlife</a>
-            <a href="../cats.html" class="mobile-nav-link">Cats</a>
+            ${generateNavLinksHTML('mobile-nav-link', activeCategory, '            ')}
         </nav>
         <div class="mobile-menu-footer">
             <div class="mobile-menu-tagline">The antidote to doom-scrolling</div>
@@ -472,40 +408,7 @@ function generateArticleHTML(article) {
         </div>
     </div>
 
-    <!-- Article Hero -->
-    <div class="article-hero">
-        <img src="${imageUrl}" alt="${escapeHtml(article.headline)}">
-        <div class="article-hero-overlay"></div>
-        <div class="article-hero-content">
-            <span class="article-tag">${capitalize(category)}</span>
-            <h1>${escapeHtml(article.headline)}</h1>
-            <div class="article-meta">
-                <span>By ${escapeHtml(article.author)}</span>
-                <span>·</span>
-                <span>${today}</span>
-                <span>·</span>
-                <span>${article.readTime} min read</span>
-            </div>
-        </div>
-    </div>
-
-    <!-- Article Content -->
-    <article class="article-content">
-        <p class="article-lead">
-            ${escapeHtml(fullContent.lead)}
-        </p>
-
-        <div class="article-body">
-${bodyParagraphs}
-${pullQuoteHtml}
-            <div class="sources-box">
-                <h3>Original Source</h3>
-                <ul>
-                    <li><a href="${escapeHtml(article.sourceUrl)}" target="_blank">${escapeHtml(article.sourceName)}: ${escapeHtml(article.originalTitle)}</a></li>
-                </ul>
-            </div>
-        </div>
-    </article>
+${content}
 
     <!-- Footer -->
     <footer class="site-footer">
@@ -581,6 +484,145 @@ ${pullQuoteHtml}
 </html>`;
 }
 
+// Generate full article HTML page (author: the persona behind the byline, if known)
+function generateArticleHTML(article, author) {
+  const category = article.category || 'people';
+  const categoryColor = CATEGORY_COLORS[category];
+  const today = formatDate(new Date());
+  const imageUrl = getImage(article, 0).replace('w=800', 'w=1920');
+
+  // Get related articles (we'll populate this later)
+  const fullContent = article.fullContent || { lead: article.excerpt, body: [], pullQuote: null };
+
+  // Build body paragraphs - handle both new format (objects with subheading/content) and old format (plain strings)
+  const bodyParagraphs = (fullContent.body || [])
+    .map(p => {
+      if (typeof p === 'string') {
+        // Old format: plain string paragraph
+        return `            <p>${escapeHtml(p)}</p>`;
+      } else if (p && typeof p === 'object') {
+        // New format: object with subheading and content
+        const subheading = p.subheading ? `            <h3>${escapeHtml(p.subheading)}</h3>\n` : '';
+        const content = (p.content || '')
+          .split('\n\n')
+          .filter(para => para.trim())
+          .map(para => `            <p>${escapeHtml(para.trim())}</p>`)
+          .join('\n\n');
+        return subheading + content;
+      }
+      return '';
+    })
+    .join('\n\n');
+
+  // Sources box: the primary source plus any other outlets that covered the same story
+  const sourceLinks = [
+    { url: article.sourceUrl, label: `${article.sourceName}: ${article.originalTitle}` },
+    ...(article.additionalSources || []).map(s => ({ url: s.link, label: `${s.source}: ${s.title}` }))
+  ]
+    .map(s => `                    <li><a href="${escapeHtml(s.url)}" target="_blank">${escapeHtml(s.label)}</a></li>`)
+    .join('\n');
+  const sourcesHeading = article.additionalSources?.length ? 'Sources' : 'Original Source';
+
+  // Byline links to the author's page
+  const byline = author
+    ? `<a href="../authors/${author.id}.html" class="byline-link">${escapeHtml(author.name)}</a>`
+    : escapeHtml(article.author);
+
+  // Build pull quote if exists
+  const pullQuoteHtml = fullContent.pullQuote
+    ? `\n            <blockquote>${escapeHtml(fullContent.pullQuote)}</blockquote>\n`
+    : '';
+
+  return generatePageHTML({
+    title: article.headline,
+    accentColor: categoryColor,
+    activeCategory: category,
+    styles: `        /* Article Hero */
+        .article-hero { position: relative; height: 70vh; min-height: 500px; max-height: 700px; overflow: hidden; }
+        .article-hero img { width: 100%; height: 100%; object-fit: cover; }
+        .article-hero-overlay { position: absolute; inset: 0; background: linear-gradient(to top, rgba(0,0,0,0.8) 0%, rgba(0,0,0,0.3) 50%, rgba(0,0,0,0.1) 100%); }
+        .article-hero-content { position: absolute; bottom: 0; left: 0; right: 0; padding: 4rem; max-width: 900px; margin: 0 auto; text-align: center; }
+        .article-tag { display: inline-block; background: var(--category-color); color: white; padding: 0.4rem 1rem; font-weight: 800; font-size: 0.7rem; text-transform: uppercase; letter-spacing: 1px; margin-bottom: 1.5rem; border-radius: var(--radius-pill); }
+        .article-hero h1 { font-family: var(--font-serif); font-size: clamp(2.5rem, 5vw, 3.5rem); font-weight: 400; line-height: 1.15; color: white; margin-bottom: 1.5rem; }
+        .article-meta { color: rgba(255,255,255,0.7); font-size: 0.9rem; font-weight: 600; }
+        .article-meta span { margin: 0 0.75rem; }
+        .byline-link { color: white; border-bottom: 1px solid rgba(255,255,255,0.4); }
+        .byline-link:hover { border-bottom-color: white; }
+
+        /* Article Content */
+        .article-content { max-width: 700px; margin: 0 auto; padding: 4rem 2rem; }
+        .article-lead { font-size: 1.35rem; line-height: 1.7; color: var(--dark); margin-bottom: 2rem; font-weight: 500; }
+        .article-body p { font-size: 1.1rem; line-height: 1.8; margin-bottom: 1.5rem; color: var(--gray-600); }
+        .article-body h2 { font-family: var(--font-display); font-size: 1.75rem; font-weight: 900; margin: 3rem 0 1.5rem; color: var(--dark); }
+        .article-body h3 { font-family: var(--font-display); font-size: 1.35rem; font-weight: 800; margin: 2.5rem 0 1rem; color: var(--dark); }
+        .article-body blockquote { border-left: 4px solid var(--category-color); padding-left: 1.5rem; margin: 2rem 0; font-family: var(--font-serif); font-size: 1.4rem; font-style: italic; color: var(--dark); border-radius: 0 var(--radius-sm) var(--radius-sm) 0; }
+
+        .sources-box { margin-top: 3rem; padding: 2rem; background: var(--gray-100); border-left: 4px solid var(--category-color); border-radius: 0 var(--radius-md) var(--radius-md) 0; }
+        .sources-box h3 { font-family: var(--font-body); font-size: 0.8rem; font-weight: 800; text-transform: uppercase; letter-spacing: 1px; color: var(--gray-600); margin-bottom: 1rem; }
+        .sources-box ul { list-style: none; }
+        .sources-box li { margin-bottom: 0.5rem; }
+        .sources-box a { color: var(--category-color); font-size: 0.9rem; font-weight: 600; text-decoration: none; border-bottom: 1px solid transparent; transition: border-color 0.2s ease; }
+        .sources-box a:hover { border-bottom-color: var(--category-color); }
+
+        /* Related Articles */
+        .related-section { background: var(--gray-100); padding: 4rem 2rem; margin-top: 4rem; }
+        .related-inner { max-width: 1200px; margin: 0 auto; }
+        .related-title { font-family: var(--font-display); font-size: 1.5rem; font-weight: 900; margin-bottom: 2rem; padding-bottom: 1rem; border-bottom: 3px solid var(--dark); }
+        .related-grid { display: grid; grid-template-columns: repeat(3, 1fr); gap: 1.5rem; }
+        .related-card { background: white; border-radius: var(--radius-lg); overflow: hidden; cursor: pointer; transition: transform 0.2s ease, box-shadow 0.2s ease; }
+        .related-card:hover { transform: translateY(-4px); box-shadow: 0 8px 30px rgba(0,0,0,0.1); }
+        .related-card:hover h4 { color: var(--wgac-blue); }
+        .related-card img { width: 100%; height: 180px; object-fit: cover; display: block; }
+        .related-card-content { padding: 1.25rem; }
+        .related-card h4 { font-family: var(--font-display); font-size: 1.1rem; font-weight: 800; line-height: 1.35; transition: color 0.2s ease; }`,
+    tabletStyles: `            .related-grid { grid-template-columns: 1fr; }`,
+    mobileStyles: `            .article-hero { height: 50vh; min-height: 350px; }
+            .article-hero-content { padding: 1.5rem 1rem; text-align: left; }
+            .article-hero h1 { font-size: clamp(1.5rem, 6vw, 2rem); }
+            .article-meta { display: flex; flex-wrap: wrap; gap: 0.25rem 0.5rem; font-size: 0.8rem; }
+            .article-meta span { margin: 0; }
+            .article-meta span:nth-child(2), .article-meta span:nth-child(4) { display: none; }
+            .article-content { padding: 2rem 1.5rem; }
+            .article-lead { font-size: 1.15rem; }
+            .article-body p { font-size: 1rem; }
+            .article-body blockquote { font-size: 1.15rem; padding-left: 1rem; }`,
+    content: `    <!-- Article Hero -->
+    <div class="article-hero">
+        <img src="${imageUrl}" alt="${escapeHtml(article.headline)}">
+        <div class="article-hero-overlay"></div>
+        <div class="article-hero-content">
+            <span class="article-tag">${capitalize(category)}</span>
+            <h1>${escapeHtml(article.headline)}</h1>
+            <div class="article-meta">
+                <span>By ${byline}</span>
+                <span>·</span>
+                <span>${today}</span>
+                <span>·</span>
+                <span>${article.readTime} min read</span>
+            </div>
+        </div>
+    </div>
+
+    <!-- Article Content -->
+    <article class="article-content">
+        <p class="article-lead">
+            ${escapeHtml(fullContent.lead)}
+        </p>
+
+        <div class="article-body">
+${bodyParagraphs}
+${pullQuoteHtml}
+            <div class="sources-box">
+                <h3>${sourcesHeading}</h3>
+                <ul>
+${sourceLinks}
+                </ul>
+            </div>
+        </div>
+    </article>`
+  });
+}
+
 // Generate all article pages
 function generateArticlePages(articles) {
   console.log('Generating article pages...\n');
@@ -590,12 +632,13 @@ function generateArticlePages(articles) {
     fs.mkdirSync(ARTICLES_DIR, { recursive: true });
   }
 
+  const authors = loadAuthors();
   let generated = 0;
   for (const article of articles) {
     if (!article.slug) continue;
 
     const articlePath = path.join(ARTICLES_DIR, `${article.slug}.html`);
-    const html = generateArticleHTML(article);
+    const html = generateArticleHTML(article, findAuthor(article, authors));
     fs.writeFileSync(articlePath, html);
     generated++;
     console.log(`  ✓ ${article.slug}.html`);
@@ -953,8 +996,9 @@ function updateArticleArchive(articles) {
     }
   }
 
-  // Get existing slugs to avoid duplicates
+  // Get existing slugs and canonical source URLs to avoid duplicates
   const existingSlugs = new Set(archive.articles.map(a => a.slug));
+  const existingUrls = new Set(archive.articles.map(a => a.canonicalUrl || canonicalizeUrl(a.sourceUrl)).filter(Boolean));
   const today = new Date().toISOString().split('T')[0];
 
   // Add new articles to archive
@@ -963,6 +1007,10 @@ function updateArticleArchive(articles) {
     if (!article.slug) continue;
     if (existingSlugs.has(article.slug)) continue;
 
+    const canonicalUrl = article.canonicalUrl || canonicalizeUrl(article.sourceUrl);
+    if (canonicalUrl && existingUrls.has(canonicalUrl)) continue;
+    if (canonicalUrl) existingUrls.add(canonicalUrl);
+
     // Add to archive with metadata
     archive.articles.push({
       slug: article.slug,
@@ -970,10 +1018,13 @@ function updateArticleArchive(articles) {
       excerpt: article.excerpt,
       category: article.category,
       author: article.author,
+      authorId: article.authorId,
       readTime: article.readTime,
       imageUrl: article.imageUrl,
       sourceUrl: article.sourceUrl,
+      canonicalUrl,
       sourceName: article.sourceName,
+      additionalSources: article.additionalSources,
       publishedDate: today,
       archivedAt: new Date().toISOString()
     });
@@ -995,7 +1046,166 @@ function updateArticleArchive(articles) {
   return archive;
 }
 
+// Avatar: an image path or URL, or an emoji
+function generateAvatarHTML(author) {
+  const isImage = /^(https?:\/\/|\/|\.\.?\/)|\.(png|jpe?g|gif|svg|webp)$/i.test(author.avatar || '');
+  return isImage
+    ? `<img src="${escapeHtml(author.avatar)}" alt="${escapeHtml(author.name)}">`
+    : `<span>${escapeHtml(author.avatar || author.name.charAt(0))}</span>`;
+}
+
+// Card for one archived article on an author page
+function generateAuthorArticleCardHTML(article, index) {
+  const tagClass = TAG_CLASSES[article.category] || 'tag-people';
+  return `            <a href="../articles/${article.slug}.html" class="author-card">
+                <img src="${getImage(article, index)}" alt="${escapeHtml(article.headline)}">
+                <div class="author-card-content">
+                    <div class="card-tag ${tagClass}">${capitalize(article.category || 'people')}</div>
+                    <h3>${escapeHtml(article.headline)}</h3>
+                    <p>${escapeHtml(article.excerpt)}</p>
+                    <div class="card-meta">${formatDate(article.publishedDate)} · ${article.readTime} min read</div>
+                </div>
+            </a>`;
+}
+
+// Generate an author page: the persona's bio and every archived article they wrote, newest first
+function generateAuthorHTML(author, articles) {
+  const beatColor = CATEGORY_COLORS[author.beats[0]] || CATEGORY_COLORS.people;
+  const beats = author.beats
+    .map(beat => `<a href="../${beat}.html" class="card-tag ${TAG_CLASSES[beat] || 'tag-people'}">${capitalize(beat)}</a>`)
+    .join('\n                ');
+  const articleCards = articles.length > 0
+    ? articles.map((a, i) => generateAuthorArticleCardHTML(a, i)).join('\n\n')
+    : `            <p class="author-empty">No stories yet - check back soon.</p>`;
+
+  return generatePageHTML({
+    title: author.name,
+    description: author.bio,
+    accentColor: beatColor,
+    styles: `        /* Author Hero */
+        .author-hero { background: var(--white); border-bottom: 4px solid var(--category-color); padding: 4rem 2rem; }
+        .author-hero-inner { max-width: 900px; margin: 0 auto; display: flex; gap: 2.5rem; align-items: center; }
+        .author-avatar { flex-shrink: 0; width: 140px; height: 140px; border-radius: 50%; background: var(--category-color); display: flex; align-items: center; justify-content: center; font-size: 4.5rem; overflow: hidden; }
+        .author-avatar img { width: 100%; height: 100%; object-fit: cover; }
+        .author-hero h1 { font-family: var(--font-serif); font-size: clamp(2.5rem, 5vw, 3.5rem); font-weight: 400; line-height: 1.15; margin-bottom: 0.75rem; }
+        .author-bio { font-size: 1.15rem; color: var(--gray-600); margin-bottom: 1rem; }
+        .author-beats { display: flex; gap: 0.5rem; flex-wrap: wrap; align-items: center; font-size: 0.85rem; font-weight: 700; color: var(--gray-600); }
+
+        .card-tag { display: inline-block; color: white; padding: 0.25rem 0.75rem; font-weight: 800; font-size: 0.65rem; text-transform: uppercase; letter-spacing: 1px; border-radius: var(--radius-pill); background: var(--gray-600); }
+        .tag-climate { background: var(--wgac-teal); }
+        .tag-health { background: var(--wgac-coral); }
+        .tag-science { background: var(--wgac-blue); }
+        .tag-wildlife { background: var(--wgac-pink); }
+        .tag-people { background: var(--wgac-purple); }
+
+        /* Author's Articles */
+        .author-articles { max-width: 1200px; margin: 0 auto; padding: 4rem 2rem; }
+        .author-articles-title { font-family: var(--font-display); font-size: 1.5rem; font-weight: 900; margin-bottom: 2rem; padding-bottom: 1rem; border-bottom: 3px solid var(--dark); }
+        .author-grid { display: grid; grid-template-columns: repeat(3, 1fr); gap: 1.5rem; }
+        .author-card { background: white; border-radius: var(--radius-lg); overflow: hidden; transition: transform 0.2s ease, box-shadow 0.2s ease; }
+        .author-card:hover { transform: translateY(-4px); box-shadow: 0 8px 30px rgba(0,0,0,0.1); }
+        .author-card:hover h3 { color: var(--wgac-blue); }
+        .author-card img { width: 100%; height: 180px; object-fit: cover; display: block; }
+        .author-card-content { padding: 1.25rem; }
+        .author-card h3 { font-family: var(--font-display); font-size: 1.1rem; font-weight: 800; line-height: 1.35; margin: 0.75rem 0 0.5rem; transition: color 0.2s ease; }
+        .author-card p { font-size: 0.9rem; color: var(--gray-600); margin-bottom: 0.75rem; }
+        .card-meta { font-size: 0.8rem; font-weight: 600; color: var(--gray-400); }
+        .author-empty { color: var(--gray-600); }`,
+    tabletStyles: `            .author-grid { grid-template-columns: repeat(2, 1fr); }`,
+    mobileStyles: `            .author-hero { padding: 2.5rem 1.5rem; }
+            .author-hero-inner { flex-direction: column; align-items: flex-start; gap: 1.5rem; }
+            .author-avatar { width: 100px; height: 100px; font-size: 3rem; }
+            .author-grid { grid-template-columns: 1fr; }
+            .author-articles { padding: 2.5rem 1.5rem; }`,
+    content: `    <!-- Author Hero -->
+    <section class="author-hero">
+        <div class="author-hero-inner">
+            <div class="author-avatar">${generateAvatarHTML(author)}</div>
+            <div>
+                <h1>${escapeHtml(author.name)}</h1>
+                <p class="author-bio">${escapeHtml(author.bio)}</p>
+                <div class="author-beats">
+                Writes about
+                ${beats}
+                </div>
+            </div>
+        </div>
+    </section>
+
+    <!-- Author's Articles -->
+    <section class="author-articles">
+        <h2 class="author-articles-title">${articles.length} ${articles.length === 1 ? 'story' : 'stories'} by ${escapeHtml(author.name)}</h2>
+        <div class="author-grid">
+${articleCards}
+        </div>
+    </section>`
+  });
+}
+
+// Generate a page for every author persona, listing their archived articles
+function generateAuthorPages(archive) {
+  console.log('\nGenerating author pages...\n');
+
+  if (!fs.existsSync(AUTHORS_DIR)) {
+    fs.mkdirSync(AUTHORS_DIR, { recursive: true });
+  }
+
+  const authors = loadAuthors();
+  const byAuthor = new Map(authors.map(author => [author.id, []]));
+  let unattributed = 0;
+  for (const article of archive.articles) {
+    const author = findAuthor(article, authors);
+    if (author) {
+      byAuthor.get(author.id).push(article);
+    } else {
+      unattributed++;
+    }
+  }
+
+  for (const author of authors) {
+    const articles = byAuthor.get(author.id);
+    fs.writeFileSync(path.join(AUTHORS_DIR, `${author.id}.html`), generateAuthorHTML(author, articles));
+    console.log(`  ✓ ${author.id}.html (${articles.length} articles)`);
+  }
+
+  if (unattributed > 0) {
+    console.log(`  ⚠️ ${unattributed} archived articles have a byline that isn't in config/authors.json`);
+  }
+  console.log(`\n✅ Generated ${authors.length} author pages`);
+}
+
 // Main function
+// Denied articles - by an editor, or after failing fact-checking - stay off the site
+// however the run is published (review page, review server or the auto-publish workflow)
+function isPublishable(article) {
+  return Boolean(article) && article.approved !== false;
+}
+
+// The curated file with denied articles taken out of every list the pages are built from
+function withoutDeniedArticles(curated) {
+  const keep = list => Array.isArray(list) ? list.filter(isPublishable) : list;
+  const published = {
+    ...curated,
+    allArticles: keep(curated.allArticles),
+    hero: isPublishable(curated.hero) ? curated.hero : undefined,
+    featured: keep(curated.featured),
+    more: keep(curated.more)
+  };
+  if (curated.homepage) {
+    published.homepage = {
+      ...curated.homepage,
+      hero: isPublishable(curated.homepage.hero) ? curated.homepage.hero : null,
+      featured: keep(curated.homepage.featured)
+    };
+  }
+  if (curated.sections) {
+    published.sections = Object.fromEntries(
+      Object.entries(curated.sections).map(([category, list]) => [category, keep(list)])
+    );
+  }
+  return published;
+}
+
 export async function generateSite() {
   console.log('=== Generating site HTML ===\n');
 
@@ -1006,17 +1216,23 @@ export async function generateSite() {
     process.exit(1);
   }
 
-  const curated = JSON.parse(fs.readFileSync(curatedPath, 'utf8'));
+  const curatedFile = JSON.parse(fs.readFileSync(curatedPath, 'utf8'));
 
   // Check if articles have been published (reviewed and approved)
   // Skip generation if articles are still pending review
-  if (!curated.publishedAt && !curated.autoPublished && !process.env.FORCE_GENERATE) {
+  if (!curatedFile.publishedAt && !curatedFile.autoPublished && !process.env.FORCE_GENERATE) {
     console.log('Articles pending review - skipping site generation.');
     console.log('Use review.html to approve articles, or set FORCE_GENERATE=1 to override.');
     return { articlesGenerated: 0, skipped: true };
   }
 
-  console.log(curated.autoPublished ? '(Auto-published)' : `(Published at ${curated.publishedAt})`);
+  console.log(curatedFile.autoPublished ? '(Auto-published)' : `(Published at ${curatedFile.publishedAt})`);
+
+  const curated = withoutDeniedArticles(curatedFile);
+  const denied = (curatedFile.allArticles || []).length - (curated.allArticles || []).length;
+  if (denied > 0) {
+    console.log(`Leaving out ${denied} denied article${denied === 1 ? '' : 's'}`);
+  }
 
   // Build allArticles from various possible structures
   let allArticles = curated.allArticles || [];
@@ -1045,7 +1261,10 @@ export async function generateSite() {
   generateArticlePages(allArticles);
 
   // Step 2: Add to article archive (preserves all historical articles)
-  updateArticleArchive(allArticles);
+  const archive = updateArticleArchive(allArticles);
+
+  // Step 2b: Author pages, from the whole archive
+  generateAuthorPages(archive);
 
   // Step 3: Update main index page
   console.log('\nUpdating homepage...\n');
@@ -0,0 +1,171 @@
+/**
+ * Homepage selection: the hero and the featured articles
+ *
+ * Every written article that passed fact-checking is a candidate. Each gets a
+ * score from 0 to 1 - a weighted sum (weights in config/homepage.json) of:
+ *   positivity  - the raw item's positivity score, relative to the best candidate's
+ *   factCheck   - fact-check confidence: high 1, medium 0.6, low 0.2
+ *   sourceTrust - high-trust sources 1, others 0.5 (config/sources.json)
+ *   image       - a photo found for the story 1, a category pool photo 0.5, the last-resort fallback 0
+ *
+ * The hero is the best candidate, among those with a photo of their own when
+ * heroNeedsStoryImage is set. Featured slots are then filled one at a time
+ * with the best remaining candidate, where each article already on the
+ * homepage from the same category lowers a candidate's score by
+ * categoryPenalty and no category gets more than maxPerCategory slots (relaxed
+ * only when nothing else is left).
+ *
+ * Each chosen article records why:
+ *   homepageSelection: { slot: 'hero' | 'featured', rank, score, signals, reasons: [...] }
+ *
+ * See how today's curated articles would be laid out with the current config:
+ *   node scripts/homepage-selection.js
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadSources, isTrustedSource } from './source-registry.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const HOMEPAGE_CONFIG_PATH = path.join(__dirname, '..', 'config', 'homepage.json');
+const CURATED_PATH = path.join(__dirname, '..', 'data', 'curated-articles.json');
+
+const DEFAULTS = {
+  featuredCount: 14,
+  weights: { positivity: 0.4, factCheck: 0.25, sourceTrust: 0.2, image: 0.15 },
+  categoryPenalty: 0.15,
+  maxPerCategory: 4,
+  heroNeedsStoryImage: true
+};
+
+const CONFIDENCE_SCORES = { high: 1, medium: 0.6, low: 0.2 };
+
+// imageSource as set by curate-with-ai.js; articles from before it was recorded count as pool photos
+const IMAGE_SCORES = { search: 1, pool: 0.5, fallback: 0 };
+const IMAGE_REASONS = { search: 'Photo found for the story', pool: 'Category pool photo', fallback: 'Fallback photo only' };
+
+export function loadHomepageConfig(configPath = HOMEPAGE_CONFIG_PATH) {
+  if (!fs.existsSync(configPath)) {
+    return { ...DEFAULTS };
+  }
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  return { ...DEFAULTS, ...config, weights: { ...DEFAULTS.weights, ...(config.weights || {}) } };
+}
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// Each signal from 0 to 1, with the reason it contributes
+function scoreArticle(article, { weights, bestPositivity, sources }) {
+  const trusted = isTrustedSource(article.sourceName, sources);
+  const imageSource = article.imageSource || 'pool';
+  const confidence = article.factCheck?.confidence;
+
+  const signals = {
+    positivity: Math.max(0, article.positivityScore || 0) / bestPositivity,
+    factCheck: CONFIDENCE_SCORES[confidence] ?? 0,
+    sourceTrust: trusted ? 1 : 0.5,
+    image: IMAGE_SCORES[imageSource] ?? 0
+  };
+  const score = Object.entries(weights).reduce((sum, [signal, weight]) => sum + weight * (signals[signal] ?? 0), 0);
+
+  return {
+    score: round(score),
+    signals: Object.fromEntries(Object.entries(signals).map(([signal, value]) => [signal, round(value)])),
+    reasons: [
+      `Positivity ${article.positivityScore || 0} (${Math.round(signals.positivity * 100)}% of the best candidate)`,
+      `Fact-check passed with ${confidence || 'unknown'} confidence`,
+      trusted ? `High-trust source (${article.sourceName})` : `Standard-trust source (${article.sourceName})`,
+      IMAGE_REASONS[imageSource] || 'No photo'
+    ]
+  };
+}
+
+/**
+ * Choose the hero and featured articles, setting isHomepageHero,
+ * isHomepageFeatured and homepageSelection on them (and clearing them from
+ * every other article). Returns { hero, featured, candidates }.
+ */
+export function selectHomepage(articles, { config = loadHomepageConfig(), sources = loadSources({ includeDisabled: true }) } = {}) {
+  for (const article of articles) {
+    delete article.isHomepageHero;
+    delete article.isHomepageFeatured;
+    delete article.homepageSelection;
+  }
+
+  const candidates = articles.filter(article => article.fullContent && article.factCheck?.passed);
+  const bestPositivity = Math.max(1, ...candidates.map(article => article.positivityScore || 0));
+  const scored = candidates
+    .map(article => ({ article, ...scoreArticle(article, { weights: config.weights, bestPositivity, sources }) }))
+    .sort((a, b) => b.score - a.score);
+  if (scored.length === 0) {
+    return { hero: null, featured: [], candidates: 0 };
+  }
+
+  // Hero: the best story, with a photo of its own if any candidate has one
+  const withStoryImage = scored.filter(entry => entry.article.imageSource === 'search');
+  const heroEntry = config.heroNeedsStoryImage && withStoryImage.length > 0 ? withStoryImage[0] : scored[0];
+  const heroReason = heroEntry === scored[0]
+    ? `Highest score of ${scored.length} candidates`
+    : `Highest-scoring story with its own photo (${scored.indexOf(heroEntry) + 1} of ${scored.length} by score)`;
+  heroEntry.article.isHomepageHero = true;
+  heroEntry.article.homepageSelection = {
+    slot: 'hero',
+    rank: 1,
+    score: heroEntry.score,
+    signals: heroEntry.signals,
+    reasons: [heroReason, ...heroEntry.reasons]
+  };
+
+  // Featured: best remaining score, lowered for each story already on the homepage from the same category
+  const perCategory = { [heroEntry.article.category]: 1 };
+  let remaining = scored.filter(entry => entry !== heroEntry);
+  const featured = [];
+  while (featured.length < config.featuredCount && remaining.length > 0) {
+    const ranked = remaining
+      .map(entry => ({ entry, adjusted: entry.score - config.categoryPenalty * (perCategory[entry.article.category] || 0) }))
+      .sort((a, b) => b.adjusted - a.adjusted);
+    const withinLimit = ranked.filter(({ entry }) => (perCategory[entry.article.category] || 0) < config.maxPerCategory);
+    const { entry, adjusted } = withinLimit[0] || ranked[0];
+
+    const category = entry.article.category;
+    const already = perCategory[category] || 0;
+    const balanceReason = withinLimit.length === 0
+      ? `Category limit of ${config.maxPerCategory} relaxed - only ${category} stories were left`
+      : already === 0
+        ? `First ${category} story on the homepage`
+        : `${category} story ${already + 1} of at most ${config.maxPerCategory} (score lowered to ${round(adjusted)} for category balance)`;
+
+    entry.article.isHomepageFeatured = true;
+    entry.article.homepageSelection = {
+      slot: 'featured',
+      rank: featured.length + 2,
+      score: entry.score,
+      signals: entry.signals,
+      reasons: [balanceReason, ...entry.reasons]
+    };
+    featured.push(entry.article);
+    perCategory[category] = already + 1;
+    remaining = remaining.filter(other => other !== entry);
+  }
+
+  return { hero: heroEntry.article, featured, candidates: scored.length };
+}
+
+// Run if called directly
+const isMainModule = process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1];
+if (isMainModule) {
+  if (!fs.existsSync(CURATED_PATH)) {
+    console.error('No curated articles found. Run curate-with-ai.js first.');
+    process.exit(1);
+  }
+  const { allArticles = [] } = JSON.parse(fs.readFileSync(CURATED_PATH, 'utf8'));
+  const { hero, featured, candidates } = selectHomepage(allArticles);
+
+  console.log(`Homepage from ${candidates} candidates (of ${allArticles.length} curated articles)\n`);
+  for (const article of [hero, ...featured].filter(Boolean)) {
+    const { slot, rank, score, reasons } = article.homepageSelection;
+    console.log(`  ${String(rank).padStart(2)}. ${slot.padEnd(8)} ${score.toFixed(3)}  [${article.category}] ${article.headline}`);
+    reasons.forEach(reason => console.log(`        - ${reason}`));
+  }
+}
@@ -0,0 +1,116 @@
+/**
+ * Offline language detection for feed titles and descriptions
+ *
+ * Non-Latin scripts (Cyrillic, Arabic, CJK, ...) are recognized from their
+ * characters. Latin-script text is scored against short lists of each
+ * language's most common function words - enough for a headline plus a
+ * summary, with no model files or network. Capitalized words are skipped, so
+ * names like "Los Angeles" or "Van Dijk" don't count as Spanish or Dutch.
+ * Text too short or too ambiguous to call is reported as undetermined
+ * (language null) rather than guessed, and kept.
+ *
+ * Try some text:
+ *   node scripts/language-detect.js "Las tortugas marinas vuelven a las playas de la costa"
+ */
+
+import { fileURLToPath } from 'url';
+
+// Most frequent function words per language. Words shared between languages
+// only help tell them apart from the others.
+const STOP_WORDS = {
+  en: 'the and of to in is for on that with are was as by at from it this be has have after an its their will how says more than who into over about',
+  es: 'el la los las de del que y en por con para una un es se su sus al lo más como pero fue este esta entre sobre también desde ha',
+  fr: 'le la les de des du et en une un est que qui pour dans sur par au aux avec ce cette pas plus sont été ses son leur mais ou',
+  de: 'der die das und ist nicht mit den von zu auf für ein eine dem des sich im auch als wird bei nach aus wie sind hat werden noch über',
+  it: 'il lo gli della delle dei degli di che e è per con una un sono del nel nella alla non più anche come ma questo questa sul dal tra ha',
+  pt: 'o os as de do da dos das que e em para com uma um não no na nos ao pelo pela mais como foi são seu sua também entre está',
+  nl: 'de het een en van is dat op te niet met voor zijn er aan ook als bij door worden wordt naar uit dit deze maar nog heeft hun om',
+  sv: 'och att det som en är på för med av till den har inte ett om var de kan vi från så men efter ut när också sina vid'
+};
+
+const STOP_WORD_SETS = Object.fromEntries(
+  Object.entries(STOP_WORDS).map(([language, words]) => [language, new Set(words.split(' '))])
+);
+
+// Scripts that identify a language (or close enough for routing) on their own
+const SCRIPTS = [
+  { language: 'ja', pattern: /[぀-ヿ]/gu },
+  { language: 'ko', pattern: /[가-힯ᄀ-ᇿ]/gu },
+  { language: 'zh', pattern: /[一-鿿]/gu },
+  { language: 'uk', pattern: /[іїєґ]/giu },
+  { language: 'ru', pattern: /[Ѐ-ӿ]/gu },
+  { language: 'el', pattern: /[Ͱ-Ͽ]/gu },
+  { language: 'ar', pattern: /[؀-ۿ]/gu },
+  { language: 'he', pattern: /[֐-׿]/gu },
+  { language: 'hi', pattern: /[ऀ-ॿ]/gu },
+  { language: 'th', pattern: /[฀-๿]/gu }
+];
+
+// Fewer function-word hits than this and the text is too short to call
+const MIN_STOP_WORD_HITS = 2;
+// Running text is roughly a third function words; below this share of all words, hits are more likely names
+const MIN_STOP_WORD_SHARE = 0.15;
+// Hits another language needs over English before English text is set aside as foreign
+const MIN_MARGIN_OVER_ENGLISH = 2;
+
+export const LANGUAGE_NAMES = {
+  en: 'English', es: 'Spanish', fr: 'French', de: 'German', it: 'Italian', pt: 'Portuguese',
+  nl: 'Dutch', sv: 'Swedish', ja: 'Japanese', ko: 'Korean', zh: 'Chinese', uk: 'Ukrainian',
+  ru: 'Russian', el: 'Greek', ar: 'Arabic', he: 'Hebrew', hi: 'Hindi', th: 'Thai'
+};
+
+function detectScript(text) {
+  const letters = (text.match(/\p{L}/gu) || []).length;
+  if (letters === 0) return null;
+
+  for (const { language, pattern } of SCRIPTS) {
+    const count = (text.match(pattern) || []).length;
+    // Kana and Ukrainian letters are mixed in with Han / Cyrillic, so a few is enough
+    const share = language === 'ja' || language === 'uk' ? 0.05 : 0.4;
+    if (count / letters >= share) return language;
+  }
+  return null;
+}
+
+/**
+ * Detect the language of a piece of text.
+ * Returns { language, confidence } - language is an ISO 639-1 code, or null when undetermined.
+ */
+export function detectLanguage(text) {
+  if (!text || !text.trim()) return { language: null, confidence: 0 };
+
+  const script = detectScript(text);
+  if (script) return { language: script, confidence: 1 };
+
+  const words = text.match(/\p{L}+/gu) || [];
+  // Function words are lowercase in running text; capitalized ones are mostly parts of names
+  const lowercase = words.filter(word => word === word.toLowerCase());
+  const hits = Object.keys(STOP_WORD_SETS).map(language => ({
+    language,
+    count: lowercase.filter(word => STOP_WORD_SETS[language].has(word)).length
+  }));
+  const english = hits.find(hit => hit.language === 'en');
+  hits.sort((a, b) => b.count - a.count);
+
+  const [best, runnerUp] = hits;
+  if (best.count < MIN_STOP_WORD_HITS || best.count === runnerUp.count ||
+      best.count / words.length < MIN_STOP_WORD_SHARE ||
+      (best !== english && best.count - english.count < MIN_MARGIN_OVER_ENGLISH)) {
+    return { language: null, confidence: 0 };
+  }
+
+  const confidence = Math.round(((best.count - runnerUp.count) / best.count) * 100) / 100;
+  return { language: best.language, confidence };
+}
+
+// Run if called directly
+const isMainModule = process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1];
+if (isMainModule) {
+  const text = process.argv.slice(2).join(' ');
+  if (!text) {
+    console.error('Usage: node scripts/language-detect.js "headline or description"');
+    process.exit(1);
+  }
+  const { language, confidence } = detectLanguage(text);
+  console.log(language ? `${LANGUAGE_NAMES[language] || language} (${language}), confidence ${confidence}` : 'Undetermined');
+}
@@ -0,0 +1,44 @@
+/**
+ * Model-call settings from config/llm.json
+ *
+ *   requestsPerMinute     - API requests allowed per minute
+ *   inputTokensPerMinute  - input tokens allowed per minute (estimated before a call, corrected from usage after)
+ *   outputTokensPerMinute - output tokens allowed per minute (counted from usage after each call)
+ *   maxConcurrency        - most model calls in flight at once
+ *   maxRetries            - retries for rate-limited, overloaded and 5xx responses
+ *   retryBaseDelayMs      - first retry waits up to this long; doubles each attempt, with jitter
+ *   retryMaxDelayMs       - cap on a single retry wait
+ *   runBudgetUsd          - estimated spend at which a curation run stops starting new work
+ *   maxRevisions          - times an article that fails fact-checking is revised and re-checked
+ *   pricing               - USD per million input/output tokens by model ("default" for unlisted models)
+ * Set the per-minute budgets to your Anthropic tier's limits.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const LLM_CONFIG_PATH = path.join(__dirname, '..', 'config', 'llm.json');
+
+const DEFAULTS = {
+  requestsPerMinute: 50,
+  inputTokensPerMinute: 30000,
+  outputTokensPerMinute: 8000,
+  maxConcurrency: 4,
+  maxRetries: 5,
+  retryBaseDelayMs: 1000,
+  retryMaxDelayMs: 60000,
+  runBudgetUsd: 5,
+  maxRevisions: 2,
+  pricing: {
+    default: { inputPerMillion: 3, outputPerMillion: 15 }
+  }
+};
+
+export function loadLlmConfig(configPath = LLM_CONFIG_PATH) {
+  if (!fs.existsSync(configPath)) {
+    return { ...DEFAULTS };
+  }
+  return { ...DEFAULTS, ...JSON.parse(fs.readFileSync(configPath, 'utf8')) };
+}
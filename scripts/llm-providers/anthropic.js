@@ -0,0 +1,19 @@
+/**
+ * The real thing: Claude through the Anthropic SDK
+ *
+ * The client is created when the provider is, not at import time, so modules
+ * that use providers load fine without ANTHROPIC_API_KEY. The SDK's own
+ * retries are off - scripts/rate-limiter.js retries, sharing back-off
+ * across all concurrent calls.
+ */
+
+import Anthropic from '@anthropic-ai/sdk';
+
+export function createAnthropicProvider({ client } = {}) {
+  const anthropic = client || new Anthropic({ maxRetries: 0 });
+  return {
+    name: 'anthropic',
+    rateLimited: true,
+    createMessage: (params) => anthropic.messages.create(params)
+  };
+}
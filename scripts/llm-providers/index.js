@@ -0,0 +1,55 @@
+/**
+ * LLM providers
+ *
+ * Curation, article writing and fact-checking send every Messages API
+ * request through a provider:
+ *   { name, rateLimited, createMessage(params) } - createMessage returns a Messages API response
+ * rateLimited is false for providers that never reach the API; the rate
+ * limiter then only applies its concurrency limit.
+ *
+ * Types:
+ *   anthropic - Claude via the SDK (needs ANTHROPIC_API_KEY)
+ *   record    - Claude, saving each request/response pair to data/llm-recordings/
+ *   replay    - answers from data/llm-recordings/ only; no key or network
+ *   local     - deterministic stand-in built from the prompt; no key or network
+ * Tests can build their own with createScriptedProvider() from ./scripted.js.
+ *
+ * Pick one with --llm <type> on curate-with-ai.js or LLM_PROVIDER=<type>;
+ * LLM_RECORDINGS_DIR points record/replay at another directory.
+ *
+ * List recorded requests:
+ *   node scripts/llm-providers/index.js
+ */
+
+import { fileURLToPath } from 'url';
+import { createAnthropicProvider } from './anthropic.js';
+import { createRecordProvider, createReplayProvider, listRecordings, RECORDINGS_DIR } from './recording.js';
+import { createLocalProvider } from './scripted.js';
+
+const PROVIDERS = {
+  anthropic: () => createAnthropicProvider(),
+  record: () => createRecordProvider({ inner: createAnthropicProvider() }),
+  replay: () => createReplayProvider(),
+  local: () => createLocalProvider()
+};
+
+export const PROVIDER_TYPES = Object.keys(PROVIDERS);
+
+export function createProvider(type = process.env.LLM_PROVIDER || 'anthropic') {
+  const create = PROVIDERS[type];
+  if (!create) {
+    throw new Error(`Unknown LLM provider "${type}" (expected one of ${PROVIDER_TYPES.join(', ')})`);
+  }
+  return create();
+}
+
+// Run if called directly
+const isMainModule = process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1];
+if (isMainModule) {
+  const recordings = listRecordings();
+  console.log(`${recordings.length} recorded requests in ${RECORDINGS_DIR}\n`);
+  for (const { key, recordedAt, request } of recordings) {
+    const tool = request.tool_choice?.name || 'text';
+    console.log(`  ${key}  ${recordedAt.slice(0, 16).replace('T', ' ')}  ${request.model}  ${tool}`);
+  }
+}
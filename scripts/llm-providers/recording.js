@@ -0,0 +1,72 @@
+/**
+ * Record and replay Claude requests
+ *
+ * The record provider passes each request to another provider and saves the
+ * request/response pair as data/llm-recordings/<key>.json, where the key is a
+ * hash of the request (model, system prompt, messages, tools, ...). The replay
+ * provider answers from those files only, so a recorded curation run can be
+ * repeated without an API key, network or tokens - as long as the inputs (raw
+ * articles, prompts) are the same. A request that was never recorded is an error.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const RECORDINGS_DIR = process.env.LLM_RECORDINGS_DIR
+  ? path.resolve(process.env.LLM_RECORDINGS_DIR)
+  : path.join(__dirname, '..', '..', 'data', 'llm-recordings');
+
+// Same request, same key
+export function requestKey(params) {
+  return crypto.createHash('sha1').update(JSON.stringify(params)).digest('hex').slice(0, 16);
+}
+
+function recordingPath(dir, key) {
+  return path.join(dir, `${key}.json`);
+}
+
+export function createRecordProvider({ inner, dir = RECORDINGS_DIR }) {
+  return {
+    name: `record (${inner.name})`,
+    rateLimited: inner.rateLimited,
+    async createMessage(params) {
+      const response = await inner.createMessage(params);
+      const key = requestKey(params);
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(recordingPath(dir, key), JSON.stringify({
+        key,
+        recordedAt: new Date().toISOString(),
+        request: params,
+        response
+      }, null, 2));
+      return response;
+    }
+  };
+}
+
+export function createReplayProvider({ dir = RECORDINGS_DIR } = {}) {
+  return {
+    name: 'replay',
+    rateLimited: false,
+    async createMessage(params) {
+      const key = requestKey(params);
+      const filePath = recordingPath(dir, key);
+      if (!fs.existsSync(filePath)) {
+        throw new Error(`No recorded response for request ${key} in ${dir}`);
+      }
+      return JSON.parse(fs.readFileSync(filePath, 'utf8')).response;
+    }
+  };
+}
+
+// Recordings in a directory, oldest first
+export function listRecordings(dir = RECORDINGS_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(name => name.endsWith('.json'))
+    .map(name => JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8')))
+    .sort((a, b) => a.recordedAt.localeCompare(b.recordedAt));
+}
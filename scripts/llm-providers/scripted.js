@@ -0,0 +1,161 @@
+/**
+ * Scripted fake provider, plus a deterministic local stand-in for Claude
+ *
+ * createScriptedProvider(script) answers each request from a script:
+ *   - an array: the Nth request gets the Nth entry (a response, or a function
+ *     of the request returning one); running out of entries is an error
+ *   - a function: called with (params, callIndex) for every request
+ * Every request is kept in provider.calls for inspection.
+ *
+ * The local stand-in answers the curation tools from the prompt itself: it
+ * selects every source article with its own title and description, writes a
+ * short article from the source material, and passes fact-checks with low
+ * confidence. Nothing it writes is worth publishing - it exists so the whole
+ * curation step can run without a key, network or tokens.
+ */
+
+// A Messages API response that calls a tool with the given input
+export function toolResponse(name, input) {
+  return {
+    id: `msg_fake_${name}`,
+    type: 'message',
+    role: 'assistant',
+    model: 'scripted',
+    content: [{ type: 'tool_use', id: `toolu_fake_${name}`, name, input }],
+    stop_reason: 'tool_use',
+    usage: { input_tokens: 0, output_tokens: 0 }
+  };
+}
+
+// A Messages API response with plain text
+export function textResponse(text) {
+  return {
+    id: 'msg_fake_text',
+    type: 'message',
+    role: 'assistant',
+    model: 'scripted',
+    content: [{ type: 'text', text }],
+    stop_reason: 'end_turn',
+    usage: { input_tokens: 0, output_tokens: 0 }
+  };
+}
+
+export function createScriptedProvider(script, { name = 'scripted' } = {}) {
+  const calls = [];
+  return {
+    name,
+    rateLimited: false,
+    calls,
+    async createMessage(params) {
+      const index = calls.length;
+      calls.push(params);
+      const entry = typeof script === 'function' ? script : script[index];
+      if (entry === undefined) {
+        throw new Error(`${name} provider has no response for request ${index + 1} (script has ${script.length})`);
+      }
+      return typeof entry === 'function' ? entry(params, index) : entry;
+    }
+  };
+}
+
+// The text of the first user message
+function promptText(params) {
+  const content = params.messages[0]?.content;
+  return typeof content === 'string' ? content : (content || []).map(block => block.text || '').join('\n');
+}
+
+function firstSentences(text, count) {
+  const sentences = text.replace(/\s+/g, ' ').trim().match(/[^.!?]+[.!?]+/g) || [text.trim()];
+  return sentences.slice(0, count).map(sentence => sentence.trim()).join(' ');
+}
+
+// Source material as formatted by prompts.js: "Full text:\n..." or "Excerpt: ..."
+// Full text runs up to the template's next section heading, e.g. "VOICE & TONE (This is crucial!):"
+function sourceMaterial(prompt) {
+  const full = prompt.match(/Full text:\n([\s\S]*?)(?:\n\n[A-Z][A-Z &'-]+(?: \([^)\n]*\)| - [A-Z0-9 &'-]+)?:\n|$)/);
+  if (full) return full[1];
+  return prompt.match(/^Excerpt: (.*)$/m)?.[1] || '';
+}
+
+const STAND_IN_ANSWERS = {
+  submit_curation(prompt, schema) {
+    const listing = prompt.match(/^\[[\s\S]*^\]/m);
+    const sources = listing ? JSON.parse(listing[0]) : [];
+    const categories = schema.properties.articles.items.properties.category.enum;
+    return {
+      articles: sources.map(article => ({
+        originalTitle: article.title,
+        headline: article.title,
+        excerpt: firstSentences(article.description || article.title, 2) || article.title,
+        category: categories.includes(article.category) ? article.category : 'people',
+        sourceUrl: article.link,
+        sourceName: article.source || 'Unknown',
+        readTime: 4
+      }))
+    };
+  },
+
+  // Fills short categories with unused candidates from the same source category; moves nothing
+  submit_balance(prompt) {
+    const short = [...prompt.matchAll(/^- (\w+): \d+ \(target [^)]*\) - needs (\d+) more$/gm)]
+      .map(([, category, missing]) => ({ category, missing: Number(missing) }));
+    const listing = prompt.match(/^UNUSED CANDIDATES.*\n(\[[\s\S]*?^\])/m);
+    const candidates = listing ? JSON.parse(listing[1]) : [];
+    return {
+      moves: [],
+      additions: short.flatMap(({ category, missing }) => candidates
+        .filter(candidate => candidate.category === category)
+        .slice(0, missing)
+        .map(candidate => ({
+          id: candidate.id,
+          headline: candidate.title,
+          excerpt: firstSentences(candidate.description || candidate.title, 2) || candidate.title,
+          category,
+          readTime: 4,
+          reason: `Local stand-in - the source files it under ${category}`
+        })))
+    };
+  },
+
+  submit_article(prompt) {
+    const material = sourceMaterial(prompt) || prompt.match(/^Title: (.*)$/m)?.[1] || 'No source material.';
+    return {
+      lead: firstSentences(material, 2),
+      body: [{ subheading: 'What happened', content: firstSentences(material, 6) }],
+      pullQuote: null
+    };
+  },
+
+  // Each sentence of the article is a claim, supported only if the source contains it word for word
+  submit_fact_check(prompt) {
+    const source = sourceMaterial(prompt).replace(/\s+/g, ' ');
+    const generated = prompt.match(/GENERATED ARTICLE:\n([\s\S]*?)\n\nSTEP 1/)?.[1] || '';
+    // Short paragraphs without closing punctuation are subheadings, not claims
+    const sentences = generated.split(/\n\n+/)
+      .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+      .filter(paragraph => /[.!?]/.test(paragraph) || paragraph.split(' ').length > 4)
+      .flatMap(paragraph => paragraph.match(/[^.!?]+[.!?]+/g) || [paragraph])
+      .map(sentence => sentence.trim())
+      .filter(Boolean);
+    return {
+      claims: (sentences.length ? sentences : [generated.trim()]).map(sentence => (
+        source.includes(sentence)
+          ? { claim: sentence, verdict: 'supported', sourceSpan: sentence }
+          : { claim: sentence, verdict: 'unsupported', sourceSpan: null, note: 'Not found word for word in the source' }
+      )),
+      confidence: 'low',
+      summary: 'Local stand-in - sentences matched against the source text, nothing more'
+    };
+  }
+};
+
+export function createLocalProvider() {
+  return createScriptedProvider((params) => {
+    const tool = params.tools?.find(t => t.name === params.tool_choice?.name);
+    const answer = tool && STAND_IN_ANSWERS[tool.name];
+    if (!answer) {
+      return textResponse('The local stand-in only answers the curation tools.');
+    }
+    return toolResponse(tool.name, answer(promptText(params), tool.input_schema));
+  }, { name: 'local' });
+}
@@ -0,0 +1,124 @@
+/**
+ * JSON schemas for the structured output Claude returns during curation
+ *
+ * Each schema is sent as a tool's input_schema (so the model fills it in
+ * through tool use rather than free text) and is also what the response is
+ * validated against in scripts/structured-output.js.
+ */
+
+export const ARTICLE_CATEGORIES = ['climate', 'health', 'science', 'wildlife', 'people'];
+
+// Selection of the best stories from a batch of raw articles
+export const CURATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    articles: {
+      type: 'array',
+      description: 'The selected stories, best first',
+      items: {
+        type: 'object',
+        properties: {
+          originalTitle: { type: 'string', minLength: 1, description: 'Exact title from the source' },
+          headline: { type: 'string', minLength: 1, description: 'Rewritten in WGAC voice (punchy, playful, can include puns)' },
+          excerpt: { type: 'string', minLength: 1, description: '2-3 sentence summary using ONLY facts from the source' },
+          category: { type: 'string', enum: ARTICLE_CATEGORIES },
+          sourceUrl: { type: 'string', minLength: 1, description: 'Exact URL from the source' },
+          sourceName: { type: 'string', minLength: 1, description: 'Publication name' },
+          readTime: { type: 'integer', minimum: 1, maximum: 15, description: 'Estimated minutes to read (3-6)' }
+        },
+        required: ['originalTitle', 'headline', 'excerpt', 'category', 'sourceUrl', 'sourceName', 'readTime']
+      }
+    }
+  },
+  required: ['articles']
+};
+
+// A full article written from one source
+export const ARTICLE_SCHEMA = {
+  type: 'object',
+  properties: {
+    lead: { type: 'string', minLength: 1, description: 'Opening 1-2 paragraphs with personality and hook' },
+    body: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          subheading: { type: 'string', minLength: 1 },
+          content: { type: 'string', minLength: 1 }
+        },
+        required: ['subheading', 'content']
+      }
+    },
+    pullQuote: {
+      type: ['string', 'null'],
+      description: 'A striking quote or fact that is actually in the source, otherwise null'
+    }
+  },
+  required: ['lead', 'body', 'pullQuote']
+};
+
+// Claim-by-claim fact-check of a generated article
+export const CLAIM_VERDICTS = ['supported', 'unsupported', 'contradicted'];
+
+export const FACT_CHECK_SCHEMA = {
+  type: 'object',
+  properties: {
+    claims: {
+      type: 'array',
+      minItems: 1,
+      description: 'Every factual claim in the generated article, in order',
+      items: {
+        type: 'object',
+        properties: {
+          claim: { type: 'string', minLength: 1, description: 'One factual claim, as a short sentence' },
+          verdict: { type: 'string', enum: CLAIM_VERDICTS },
+          sourceSpan: {
+            type: ['string', 'null'],
+            description: 'Words copied verbatim from the source that support or contradict the claim, or null if the source says nothing about it'
+          },
+          note: { type: 'string', description: 'Why, briefly - required for unsupported and contradicted claims' }
+        },
+        required: ['claim', 'verdict', 'sourceSpan']
+      }
+    },
+    confidence: { type: 'string', enum: ['high', 'medium', 'low'] },
+    summary: { type: 'string', description: 'Brief explanation' }
+  },
+  required: ['claims', 'confidence', 'summary']
+};
+
+// Cross-batch category rebalancing: stories moved to another category and unused raw articles added
+export const BALANCE_SCHEMA = {
+  type: 'object',
+  properties: {
+    moves: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', minLength: 1, description: 'Id of a selected story (S...)' },
+          category: { type: 'string', enum: ARTICLE_CATEGORIES, description: 'The category it moves to' },
+          reason: { type: 'string', minLength: 1, description: 'Why the story fits the new category' }
+        },
+        required: ['id', 'category', 'reason']
+      }
+    },
+    additions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', minLength: 1, description: 'Id of an unused candidate (R...)' },
+          headline: { type: 'string', minLength: 1, description: 'Rewritten in WGAC voice (punchy, playful, can include puns)' },
+          excerpt: { type: 'string', minLength: 1, description: '2-3 sentence summary using ONLY facts from the candidate' },
+          category: { type: 'string', enum: ARTICLE_CATEGORIES },
+          readTime: { type: 'integer', minimum: 1, maximum: 15, description: 'Estimated minutes to read (3-6)' },
+          reason: { type: 'string', minLength: 1, description: 'Why this story is worth adding' }
+        },
+        required: ['id', 'headline', 'excerpt', 'category', 'readTime', 'reason']
+      }
+    }
+  },
+  required: ['moves', 'additions']
+};
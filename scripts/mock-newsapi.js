@@ -0,0 +1,140 @@
+/**
+ * Mock NewsAPI server for testing the fetch stage offline
+ *
+ * Serves /v2/everything like NewsAPI does: X-Api-Key required, pageSize and
+ * page honoured, totalResults reported, and the same error responses for
+ * paging too deep (426) and running out of requests (429). Each query gets
+ * a stable, made-up result set, so runs are repeatable.
+ *
+ * Usage:
+ *   node scripts/mock-newsapi.js [--port 8790] [--max-results 100] [--daily-limit 100]
+ *   NEWS_API_URL=http://localhost:8790/v2/everything NEWS_API_KEY=test node scripts/fetch-news.js
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_PORT = 8790;
+
+// Word pools for building varied, plausible headlines
+const PLACES = [
+  'Kenya', 'Scotland', 'Brazil', 'Vietnam', 'Canada', 'Peru', 'Norway', 'India', 'Ghana', 'Chile',
+  'Portugal', 'Nepal', 'Mexico', 'Iceland', 'Rwanda', 'Japan', 'Wales', 'Colombia', 'Finland', 'Morocco'
+];
+const SUBJECTS = [
+  'river dolphin numbers', 'rooftop solar scheme', 'school garden project', 'coral nursery',
+  'rural health clinic', 'seed bank', 'wetland restoration', 'bike lane network', 'malaria vaccine trial',
+  'tidal energy pilot', 'wolf population', 'literacy programme', 'mangrove replanting', 'hearing aid startup',
+  'otter colony', 'heat pump rollout', 'food bank network', 'peatland rewetting', 'eye clinic',
+  'electric ferry', 'beaver reintroduction', 'reading club', 'clean water project', 'apprentice scheme'
+];
+const DETAILS = [
+  'Volunteers expect to finish next spring.', 'Funding came from a farming cooperative.',
+  'Full results are due later this year.', 'Three neighbouring towns plan to copy it.',
+  'It started with a single classroom.', 'Officials credit patient monitoring.',
+  'Twenty apprentices were trained.', 'A university shared the costs.',
+  'Fishermen helped collect the data.', 'Grandparents run the weekend shifts.',
+  'The idea came from a teenager.', 'Rainfall records helped plan it.',
+  'Local businesses donated equipment.', 'Nurses designed the first version.',
+  'Schoolchildren named the site.', 'Satellite images confirmed the change.'
+];
+const SYLLABLES = ['ka', 'lo', 'mi', 'ren', 'tu', 'sa', 'vel', 'do', 'ri', 'po'];
+const OUTCOMES = [
+  'doubles in a year', 'wins national funding', 'beats its target', 'expands to new villages',
+  'hits record high', 'cuts costs by half', 'reports early success', 'reopens after decades',
+  'wins global award', 'triples its volunteers', 'finishes ahead of schedule', 'gets royal praise'
+];
+
+function pick(list, seed) {
+  return list[seededNumber(seed, list.length)];
+}
+
+// A made-up project name, so no two items read exactly alike
+function projectName(seed) {
+  const name = [0, 1, 2].map(i => pick(SYLLABLES, `${seed}:${i}`)).join('');
+  return name[0].toUpperCase() + name.slice(1);
+}
+
+function seededNumber(text, max) {
+  return parseInt(crypto.createHash('sha1').update(text).digest('hex').slice(0, 8), 16) % max;
+}
+
+// Every query has its own stable number of results (some queries find nothing)
+function resultsFor(q, maxResults) {
+  const total = seededNumber(`total:${q}`, maxResults + 1);
+  const now = Date.now();
+  return Array.from({ length: total }, (_, i) => {
+    const place = pick(PLACES, `${q}:${i}:place`);
+    const subject = pick(SUBJECTS, `${q}:${i}:subject`);
+    const outcome = pick(OUTCOMES, `${q}:${i}:outcome`);
+    const slug = `${q}-${i}`.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    return {
+      source: { id: null, name: `Mock Outlet ${seededNumber(`${q}:${i}:outlet`, 5) + 1}` },
+      author: 'Mock Reporter',
+      title: `${place}'s ${subject} ${outcome}`,
+      description: `The ${projectName(`${q}:${i}`)} project ${outcome}. ${pick(DETAILS, `${q}:${i}:detail`)}`,
+      url: `https://mock-news.example/${slug}`,
+      publishedAt: new Date(now - i * 60 * 60 * 1000).toISOString(),
+      content: null
+    };
+  });
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * Create the mock server (not yet listening).
+ * Options: maxResults - results per query; dailyLimit - requests before 429.
+ */
+export function createMockNewsApi({ maxResults = 100, dailyLimit = 100 } = {}) {
+  let requests = 0;
+
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== '/v2/everything') {
+      return sendJson(res, 404, { status: 'error', code: 'notFound', message: 'Only /v2/everything is mocked.' });
+    }
+    if (!req.headers['x-api-key'] && !url.searchParams.get('apiKey')) {
+      return sendJson(res, 401, { status: 'error', code: 'apiKeyMissing', message: 'Your API key is missing.' });
+    }
+    if (++requests > dailyLimit) {
+      return sendJson(res, 429, { status: 'error', code: 'rateLimited', message: 'You have made too many requests recently.' });
+    }
+
+    const q = url.searchParams.get('q') || '';
+    const pageSize = Math.min(Number(url.searchParams.get('pageSize')) || 100, 100);
+    const page = Number(url.searchParams.get('page')) || 1;
+    // Like the developer plan, only the first 100 results can be paged to
+    if ((page - 1) * pageSize >= 100) {
+      return sendJson(res, 426, { status: 'error', code: 'maximumResultsReached', message: 'You can only request the first 100 results.' });
+    }
+
+    const results = resultsFor(q, maxResults);
+    console.log(`  ${req.method} q="${q}" page ${page} (${results.length} results)`);
+    sendJson(res, 200, {
+      status: 'ok',
+      totalResults: results.length,
+      articles: results.slice((page - 1) * pageSize, page * pageSize)
+    });
+  });
+}
+
+// Run if called directly
+const isMainModule = process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1];
+if (isMainModule) {
+  const flag = (name, fallback) => {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 ? Number(process.argv[index + 1]) : fallback;
+  };
+  const port = flag('port', DEFAULT_PORT);
+
+  createMockNewsApi({ maxResults: flag('max-results', 100), dailyLimit: flag('daily-limit', 100) })
+    .listen(port, () => {
+      console.log(`Mock NewsAPI listening on http://localhost:${port}/v2/everything`);
+      console.log(`Run: NEWS_API_URL=http://localhost:${port}/v2/everything NEWS_API_KEY=test node scripts/fetch-news.js\n`);
+    });
+}
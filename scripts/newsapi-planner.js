@@ -0,0 +1,176 @@
+/**
+ * NewsAPI query planner
+ *
+ * NewsAPI requests are rationed by a daily budget (dailyRequestBudget on the
+ * newsapi source). Each query's yield is tracked across runs in
+ * data/newsapi-queries.json: requests made, items fetched, and how many of
+ * its stories were later curated and approved. Each run, queries are ranked
+ * by approved stories per request (curated-but-denied stories count a
+ * little, and queries with little history get the benefit of the doubt).
+ * Every query gets its first page in rank order while the budget lasts; what
+ * is left buys further pages for the best queries.
+ *
+ * Curated and approved counts are collected from data/curated-articles.json
+ * at the start of the next fetch, once editors have reviewed it.
+ *
+ * Usage:
+ *   node scripts/newsapi-planner.js          # per-query yield and today's plan
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadSources } from './source-registry.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = path.join(__dirname, '..', 'data');
+export const QUERY_STATS_PATH = path.join(DATA_DIR, 'newsapi-queries.json');
+const CURATED_PATH = path.join(DATA_DIR, 'curated-articles.json');
+
+export const DEFAULT_DAILY_BUDGET = 30;
+export const DEFAULT_MAX_PAGES = 3;
+
+// Days of per-query history kept, and how many of them count towards the score
+const HISTORY_DAYS = 60;
+const SCORE_WINDOW_DAYS = 30;
+
+// A curated story that editors then denied is worth this much of an approved one
+const CURATED_CREDIT = 0.25;
+
+// Prior for queries with little history: as if they'd yielded 1 approved story in 4 requests
+const PRIOR_YIELD = 1;
+const PRIOR_REQUESTS = 4;
+
+const today = () => new Date().toISOString().split('T')[0];
+
+export function loadQueryStats(statsPath = QUERY_STATS_PATH) {
+  const empty = { budgetDate: null, requestsToday: 0, lastHarvested: null, queries: {} };
+  if (!fs.existsSync(statsPath)) return empty;
+  try {
+    return { ...empty, ...JSON.parse(fs.readFileSync(statsPath, 'utf8')) };
+  } catch (e) {
+    console.log('Could not read NewsAPI query stats, starting fresh');
+    return empty;
+  }
+}
+
+export function saveQueryStats(stats, statsPath = QUERY_STATS_PATH) {
+  fs.writeFileSync(statsPath, JSON.stringify(stats, null, 2));
+}
+
+// Today's entry for a query, created on first use
+function dayEntry(stats, q, date) {
+  if (!stats.queries[q]) stats.queries[q] = { days: [] };
+  const days = stats.queries[q].days;
+  let entry = days.find(d => d.date === date);
+  if (!entry) {
+    entry = { date, requests: 0, fetched: 0, totalResults: 0, curated: 0, approved: 0 };
+    days.push(entry);
+    days.sort((a, b) => a.date.localeCompare(b.date));
+    stats.queries[q].days = days.slice(-HISTORY_DAYS);
+  }
+  return entry;
+}
+
+// Requests left in today's budget
+export function remainingBudget(stats, budget, date = today()) {
+  return stats.budgetDate === date ? Math.max(0, budget - stats.requestsToday) : budget;
+}
+
+// Record one request for a query
+export function recordQueryRequest(stats, q, { fetched, totalResults }, date = today()) {
+  if (stats.budgetDate !== date) {
+    stats.budgetDate = date;
+    stats.requestsToday = 0;
+  }
+  stats.requestsToday++;
+
+  const entry = dayEntry(stats, q, date);
+  entry.requests++;
+  entry.fetched += fetched;
+  entry.totalResults = Math.max(entry.totalResults, totalResults);
+}
+
+/**
+ * Credit curated and approved stories to the queries that found them.
+ * Each curated-articles.json is only counted once (by its generatedAt).
+ * Returns the number of stories credited.
+ */
+export function harvestCuratedYields(stats, curatedPath = CURATED_PATH) {
+  if (!fs.existsSync(curatedPath)) return 0;
+
+  const data = JSON.parse(fs.readFileSync(curatedPath, 'utf8'));
+  if (!data.generatedAt || data.generatedAt === stats.lastHarvested) return 0;
+
+  const date = data.generatedAt.split('T')[0];
+  let credited = 0;
+  for (const article of data.allArticles || []) {
+    if (!article.newsapiQuery) continue;
+    const entry = dayEntry(stats, article.newsapiQuery, date);
+    entry.curated++;
+    // Unreviewed articles are published, so they count as approved (same default as the review page)
+    if (article.approved !== false) entry.approved++;
+    credited++;
+  }
+
+  stats.lastHarvested = data.generatedAt;
+  return credited;
+}
+
+/**
+ * A query's yield over the score window.
+ * Returns { requests, fetched, curated, approved, score }.
+ */
+export function queryYield(stats, q, date = today()) {
+  const cutoff = new Date(Date.parse(date) - SCORE_WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+  const totals = { requests: 0, fetched: 0, curated: 0, approved: 0 };
+  for (const day of stats.queries[q]?.days || []) {
+    if (day.date < cutoff) continue;
+    totals.requests += day.requests;
+    totals.fetched += day.fetched;
+    totals.curated += day.curated;
+    totals.approved += day.approved;
+  }
+
+  const earned = totals.approved + CURATED_CREDIT * (totals.curated - totals.approved);
+  const score = (earned + PRIOR_YIELD) / (totals.requests + PRIOR_REQUESTS);
+  return { ...totals, score: Math.round(score * 1000) / 1000 };
+}
+
+/**
+ * Rank the enabled queries by yield, best first.
+ * Returns [{ q, category, maxPages, ...queryYield }].
+ */
+export function planQueries(queries, stats, { maxPages = DEFAULT_MAX_PAGES, date = today() } = {}) {
+  return queries
+    .filter(query => query.enabled !== false)
+    .map(query => ({
+      q: query.q,
+      category: query.category,
+      maxPages: query.maxPages ?? maxPages,
+      ...queryYield(stats, query.q, date)
+    }))
+    .sort((a, b) => b.score - a.score);
+}
+
+// Run if called directly
+const isMainModule = process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1];
+if (isMainModule) {
+  const source = loadSources({ includeDisabled: true }).find(s => s.type === 'newsapi');
+  if (!source) {
+    console.error('No newsapi source in config/sources.json');
+    process.exit(1);
+  }
+
+  const stats = loadQueryStats();
+  harvestCuratedYields(stats);
+  const budget = source.dailyRequestBudget ?? DEFAULT_DAILY_BUDGET;
+  const plan = planQueries(source.queries, stats, { maxPages: source.maxPages });
+
+  console.log(`NewsAPI budget: ${remainingBudget(stats, budget)} of ${budget} requests left today\n`);
+  console.log(`  ${'query'.padEnd(28)} ${'score'.padStart(6)} ${'reqs'.padStart(5)} ${'fetched'.padStart(8)} ${'curated'.padStart(8)} ${'approved'.padStart(9)}`);
+  for (const row of plan) {
+    console.log(`  ${row.q.padEnd(28)} ${row.score.toFixed(3).padStart(6)} ${String(row.requests).padStart(5)} ${String(row.fetched).padStart(8)} ${String(row.curated).padStart(8)} ${String(row.approved).padStart(9)}`);
+  }
+  console.log(`\nQueries are fetched in this order; pages beyond the first go to the top queries while budget remains.`);
+}
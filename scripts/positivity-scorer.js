@@ -0,0 +1,181 @@
+/**
+ * Explainable, negation-aware positivity scoring
+ *
+ * Text is tokenized on word boundaries and lightly stemmed, so "win" no
+ * longer matches "wind" and "war" no longer matches "award". Multi-word
+ * lexicon entries match as phrases. A term preceded by a negator in the
+ * same clause ("no longer extinct", "not a breakthrough") has its weight
+ * flipped and scaled by negationFactor.
+ *
+ * Weights live in config/lexicon.json. Every score comes with a breakdown
+ * of the terms that fired.
+ *
+ * Try a headline against the lexicon:
+ *   node scripts/positivity-scorer.js "Rare frog no longer extinct, scientists say"
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const LEXICON_PATH = path.join(__dirname, '..', 'config', 'lexicon.json');
+
+/**
+ * Light suffix-stripping stemmer. It only needs to be consistent - the same
+ * function stems lexicon entries and article text.
+ */
+export function stem(word) {
+  if (word.length <= 3) return word;
+
+  let s = word;
+  if (s.endsWith('ies') && s.length > 4) {
+    s = s.slice(0, -3) + 'i';
+  } else if (s.endsWith('ing') && s.length > 5) {
+    s = s.slice(0, -3);
+  } else if (s.endsWith('ed') && s.length > 4) {
+    s = s.slice(0, -2);
+  } else if (/(ss|us|is)$/.test(s)) {
+    // "success", "virus", "crisis" are not plurals
+  } else if (/(sh|ch|x|z)es$/.test(s)) {
+    s = s.slice(0, -2);
+  } else if (s.endsWith('s')) {
+    s = s.slice(0, -1);
+  }
+
+  // "winning" -> "winn" -> "win", but keep "kill", "pass", "buzz"
+  if (/([^aeiouylsz])\1$/.test(s)) {
+    s = s.slice(0, -1);
+  }
+  // "cure"/"cured", "recovery"/"recoveries" end up the same
+  if (s.endsWith('e') && s.length > 3) s = s.slice(0, -1);
+  if (s.endsWith('y') && s.length > 3) s = s.slice(0, -1) + 'i';
+
+  return s;
+}
+
+/**
+ * Split text into word tokens, keeping the original word, its stem and the
+ * clause it belongs to (punctuation ends a clause, and negation with it).
+ */
+export function tokenize(text) {
+  const tokens = [];
+  let clause = 0;
+  const pattern = /([a-z0-9]+(?:['’][a-z]+)?)|([.,;:!?()]|\s[-–—]\s)/gi;
+  let match;
+  while ((match = pattern.exec(text))) {
+    if (match[2]) {
+      clause++;
+      continue;
+    }
+    const word = match[1].toLowerCase().replace(/['’]/g, '');
+    tokens.push({ word, stem: stem(word), clause });
+  }
+  return tokens;
+}
+
+let cachedLexicon = null;
+
+// Load and prepare the lexicon (stemmed phrases, longest first)
+export function loadLexicon(lexiconPath = LEXICON_PATH) {
+  if (cachedLexicon && cachedLexicon.path === lexiconPath) return cachedLexicon;
+
+  const raw = JSON.parse(fs.readFileSync(lexiconPath, 'utf8'));
+  const toPhrase = text => text.toLowerCase().split(/\s+/).filter(Boolean);
+
+  const terms = [
+    ...Object.entries(raw.positive || {}),
+    ...Object.entries(raw.negative || {})
+  ].map(([term, weight]) => ({
+    term,
+    weight,
+    stems: toPhrase(term).map(stem)
+  }));
+
+  // Longer phrases first, so "wind power" claims its tokens before shorter entries
+  terms.sort((a, b) => b.stems.length - a.stems.length);
+
+  cachedLexicon = {
+    path: lexiconPath,
+    terms,
+    negators: (raw.negators || []).map(toPhrase).sort((a, b) => b.length - a.length),
+    exceptions: (raw.negationExceptions || []).map(toPhrase),
+    negationWindow: raw.negationWindow ?? 3,
+    negationFactor: raw.negationFactor ?? -0.5
+  };
+  return cachedLexicon;
+}
+
+function wordsMatch(tokens, start, words, key = 'word') {
+  return words.every((w, i) => tokens[start + i]?.[key] === w);
+}
+
+// Find negator positions, skipping exceptions like "not only"
+function findNegators(tokens, lexicon) {
+  const negators = [];
+  for (let i = 0; i < tokens.length; i++) {
+    if (lexicon.exceptions.some(words => wordsMatch(tokens, i, words))) continue;
+    const negator = lexicon.negators.find(words => wordsMatch(tokens, i, words));
+    if (negator) {
+      negators.push({ end: i + negator.length - 1, clause: tokens[i].clause, text: negator.join(' ') });
+      i += negator.length - 1;
+    }
+  }
+  return negators;
+}
+
+/**
+ * Score a piece of text. Each lexicon term counts once (its first occurrence).
+ * Returns { score, terms: [{ term, matched, weight, negated, negator?, contribution }] }.
+ */
+export function scoreText(text, lexicon = loadLexicon()) {
+  const tokens = tokenize(text);
+  const negators = findNegators(tokens, lexicon);
+  const used = new Array(tokens.length).fill(false);
+  const fired = [];
+
+  for (const entry of lexicon.terms) {
+    for (let i = 0; i <= tokens.length - entry.stems.length; i++) {
+      const span = entry.stems.length;
+      if (used.slice(i, i + span).some(Boolean)) continue;
+      if (!wordsMatch(tokens, i, entry.stems, 'stem')) continue;
+
+      for (let j = i; j < i + span; j++) used[j] = true;
+
+      // Negated if a negator ends within the window before the term, in the same clause
+      const negator = negators.find(n =>
+        n.end < i && i - n.end <= lexicon.negationWindow && n.clause === tokens[i].clause
+      );
+      const contribution = negator ? entry.weight * lexicon.negationFactor : entry.weight;
+
+      fired.push({
+        term: entry.term,
+        matched: tokens.slice(i, i + span).map(t => t.word).join(' '),
+        weight: entry.weight,
+        negated: Boolean(negator),
+        ...(negator && { negator: negator.text }),
+        contribution
+      });
+      break;
+    }
+  }
+
+  const score = fired.reduce((sum, t) => sum + t.contribution, 0);
+  return { score, terms: fired };
+}
+
+// Run if called directly
+const isMainModule = process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1];
+if (isMainModule) {
+  const text = process.argv.slice(2).join(' ');
+  if (!text) {
+    console.error('Usage: node scripts/positivity-scorer.js "headline or description"');
+    process.exit(1);
+  }
+  const { score, terms } = scoreText(text);
+  console.log(`Score: ${score}`);
+  for (const t of terms) {
+    const negation = t.negated ? ` (negated by "${t.negator}")` : '';
+    console.log(`  ${t.contribution > 0 ? '+' : ''}${t.contribution}  ${t.term} ← "${t.matched}"${negation}`);
+  }
+}
@@ -0,0 +1,254 @@
+/**
+ * Prompt templates for curation, category balancing, article writing,
+ * fact-checking and revision
+ *
+ * Each prompt lives in config/prompts/<id>.md: a front-matter block with a
+ * version (bump it whenever the wording changes) and a description, then the
+ * template text with {{variable}} placeholders. Rendering fails on a
+ * placeholder with no value rather than sending a half-filled prompt.
+ *
+ * Every rendered prompt carries its provenance - { id, version, hash } - and
+ * curate-with-ai.js stores it on each article, so we can tell which wording
+ * produced what. The hash is of the template file, so edits made without a
+ * version bump still show up.
+ *
+ * Render a prompt for a raw article (from data/raw-articles.json or the
+ * translation queue) without calling the model:
+ *   node scripts/prompts.js article "headline or link"
+ *   node scripts/prompts.js list
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { canonicalizeUrl } from './canonical-url.js';
+import { restoreSourceTexts } from './feed-cache.js';
+import { LANGUAGE_NAMES } from './language-detect.js';
+import { loadBalanceConfig } from './category-balance.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const PROMPTS_DIR = path.join(__dirname, '..', 'config', 'prompts');
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+// How much of each article's full text the selection prompt sees (writing and fact-checking get all of it)
+const SELECTION_PREVIEW_LENGTH = 600;
+
+// Placeholders for the fact-check and revision prompts when rendering without a generated article
+const DRAFT_PLACEHOLDER = '(the generated article goes here)';
+const ISSUES_PLACEHOLDER = ['(the fact-check issues go here)'];
+
+const loaded = new Map();
+
+/**
+ * Load a template by id (its file name without .md).
+ * Returns { id, version, description, hash, text }.
+ */
+export function loadPrompt(id) {
+  if (loaded.has(id)) return loaded.get(id);
+
+  const filePath = path.join(PROMPTS_DIR, `${id}.md`);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`No prompt template ${id} (expected ${filePath})`);
+  }
+  const file = fs.readFileSync(filePath, 'utf8');
+  const match = file.match(/^---\n([\s\S]*?)\n---\n([\s\S]*)$/);
+  if (!match) {
+    throw new Error(`Prompt template ${id} has no front matter (version, description)`);
+  }
+
+  const meta = Object.fromEntries(
+    match[1].split('\n')
+      .map(line => line.match(/^(\w+):\s*(.*)$/))
+      .filter(Boolean)
+      .map(([, key, value]) => [key, value.trim()])
+  );
+  if (!meta.version) {
+    throw new Error(`Prompt template ${id} has no version`);
+  }
+
+  const prompt = {
+    id,
+    version: meta.version,
+    description: meta.description || '',
+    hash: crypto.createHash('sha1').update(file).digest('hex').slice(0, 8),
+    text: match[2].replace(/\n$/, '')
+  };
+  loaded.set(id, prompt);
+  return prompt;
+}
+
+// Every template in config/prompts/
+export function listPrompts() {
+  return fs.readdirSync(PROMPTS_DIR)
+    .filter(name => name.endsWith('.md'))
+    .map(name => loadPrompt(name.replace(/\.md$/, '')));
+}
+
+/**
+ * Fill in a template's {{variables}}.
+ * Returns { text, provenance: { id, version, hash } }.
+ */
+export function renderPrompt(id, variables = {}) {
+  const prompt = loadPrompt(id);
+  const text = prompt.text.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => {
+    if (variables[name] === undefined || variables[name] === null) {
+      throw new Error(`Prompt ${id} uses ${placeholder} but no value was given`);
+    }
+    return String(variables[name]);
+  });
+  return { text, provenance: { id, version: prompt.version, hash: prompt.hash } };
+}
+
+// Trim full source text down to a preview for the selection prompt
+function toSelectionInput(article) {
+  const { sourceText, ...rest } = article;
+  return sourceText ? { ...rest, sourceText: sourceText.slice(0, SELECTION_PREVIEW_LENGTH) } : rest;
+}
+
+// The source's own words: full text when we have it, otherwise the feed's description (or, failing that, the curated excerpt)
+export function sourceMaterialText(article) {
+  return article.sourceText || article.sourceExcerpt || article.excerpt;
+}
+
+// Source material for the writing and fact-check prompts
+function formatSourceMaterial(article) {
+  const material = article.sourceText
+    ? `Full text:\n${article.sourceText}`
+    : `Excerpt: ${sourceMaterialText(article)}\n(Full text not available - the excerpt is the only source material.)`;
+  if (!article.originalLanguage) {
+    return material;
+  }
+  const language = LANGUAGE_NAMES[article.originalLanguage] || article.originalLanguage;
+  return `Language: ${language} - the article is written in English from this source, translating its facts faithfully and adding nothing.\n${material}`;
+}
+
+export const systemPrompt = () => renderPrompt('system');
+
+export function curationPrompt(rawArticles) {
+  return renderPrompt('curation', {
+    count: rawArticles.length,
+    articles: JSON.stringify(rawArticles.map(toSelectionInput), null, 2)
+  });
+}
+
+// One line per category: its count against its { min, max } target
+function formatCategoryCounts(counts, targets) {
+  return Object.entries(targets).map(([category, { min, max }]) => {
+    const count = counts[category] || 0;
+    const status = count < min ? ` - needs ${min - count} more` : count > max ? ` - ${count - max} over` : '';
+    return `- ${category}: ${count} (target ${min}-${max})${status}`;
+  }).join('\n');
+}
+
+// selected: [{ id, category, headline, excerpt }]; candidates: raw articles with an id
+export function balancePrompt({ counts, targets, selected, candidates }) {
+  return renderPrompt('balance', {
+    counts: formatCategoryCounts(counts, targets),
+    selected: JSON.stringify(selected, null, 2),
+    candidates: JSON.stringify(candidates.map(toSelectionInput), null, 2)
+  });
+}
+
+export function articlePrompt(article) {
+  return renderPrompt('article', {
+    originalTitle: article.originalTitle,
+    sourceName: article.sourceName,
+    sourceUrl: article.sourceUrl,
+    sourceMaterial: formatSourceMaterial(article)
+  });
+}
+
+// A generated article (fullContent) as plain text: lead, then each section's subheading and content, then the pull quote
+export function articleText(fullContent) {
+  return [
+    fullContent.lead,
+    ...(fullContent.body || []).map(section => [section.subheading, section.content].filter(Boolean).join('\n\n')),
+    fullContent.pullQuote
+  ].filter(Boolean).join('\n\n');
+}
+
+export function factCheckPrompt(article, generatedText) {
+  return renderPrompt('fact-check', {
+    originalTitle: article.originalTitle,
+    sourceName: article.sourceName,
+    sourceMaterial: formatSourceMaterial(article),
+    generatedText
+  });
+}
+
+// Ask for a corrected draft; issues are the failed fact-check's issues
+export function revisionPrompt(article, draftText, issues) {
+  return renderPrompt('revision', {
+    originalTitle: article.originalTitle,
+    sourceName: article.sourceName,
+    sourceUrl: article.sourceUrl,
+    sourceMaterial: formatSourceMaterial(article),
+    draft: draftText,
+    issues: issues.map(issue => `- ${issue}`).join('\n')
+  });
+}
+
+// A raw article as the writing prompts see it (the curated fields they use, before curation)
+function asCurated(raw) {
+  return {
+    ...raw,
+    originalTitle: raw.title,
+    sourceName: raw.source,
+    sourceUrl: raw.link,
+    sourceExcerpt: raw.description
+  };
+}
+
+// Find a raw article by link or (part of its) title
+function findRawArticle(query) {
+  const articles = [];
+  for (const file of ['raw-articles.json', 'translation-queue.json']) {
+    const filePath = path.join(DATA_DIR, file);
+    if (fs.existsSync(filePath)) articles.push(...JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  }
+  const url = /^https?:\/\//.test(query) ? canonicalizeUrl(query) : null;
+  const needle = query.toLowerCase();
+  const article = articles.find(a => url
+    ? canonicalizeUrl(a.link) === url || a.canonicalUrl === url
+    : (a.title || '').toLowerCase().includes(needle));
+  if (article) restoreSourceTexts([article]);
+  return article;
+}
+
+const RENDERERS = {
+  system: () => systemPrompt(),
+  curation: (raw) => curationPrompt([raw]),
+  balance: (raw) => balancePrompt({ counts: {}, targets: loadBalanceConfig().targets, selected: [], candidates: [{ id: 'R1', ...raw }] }),
+  article: (raw) => articlePrompt(asCurated(raw)),
+  'fact-check': (raw) => factCheckPrompt(asCurated(raw), DRAFT_PLACEHOLDER),
+  revision: (raw) => revisionPrompt(asCurated(raw), DRAFT_PLACEHOLDER, ISSUES_PLACEHOLDER)
+};
+
+// Run if called directly
+const isMainModule = process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1];
+if (isMainModule) {
+  const [id, query] = process.argv.slice(2);
+
+  if (!id || id === 'list') {
+    console.log(`Prompt templates in ${PROMPTS_DIR}:\n`);
+    for (const prompt of listPrompts()) {
+      console.log(`  ${prompt.id.padEnd(12)} v${prompt.version.padEnd(4)} ${prompt.hash}  ${prompt.description}`);
+    }
+    console.log(`\nRender one: node scripts/prompts.js <${Object.keys(RENDERERS).join('|')}> "headline or link"`);
+  } else {
+    if (!RENDERERS[id]) {
+      console.error(`Unknown prompt "${id}" (expected one of ${Object.keys(RENDERERS).join(', ')})`);
+      process.exit(1);
+    }
+    const raw = id === 'system' ? null : query && findRawArticle(query);
+    if (id !== 'system' && !raw) {
+      console.error(query ? `No raw article matching "${query}"` : 'Give a headline or link from data/raw-articles.json');
+      process.exit(1);
+    }
+
+    const { text, provenance } = RENDERERS[id](raw);
+    console.log(`# ${provenance.id} v${provenance.version} (${provenance.hash})\n`);
+    console.log(text);
+  }
+}
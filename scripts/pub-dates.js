@@ -0,0 +1,51 @@
+/**
+ * Publication date parsing and recency scoring for fetched items
+ *
+ * Feeds send dates as RFC 822 strings, ISO strings, or nothing at all.
+ * Everything is normalized to an ISO UTC string; anything unparseable
+ * (or implausibly far in the future) is treated as missing.
+ */
+
+const HOUR = 60 * 60 * 1000;
+
+// Allow for publisher clocks running a little ahead
+const MAX_FUTURE_SKEW = 24 * HOUR;
+
+// Time zone abbreviations Date.parse doesn't know (it handles GMT/UTC and the US zones)
+const ZONE_OFFSETS = {
+  BST: '+0100', IST: '+0530', CET: '+0100', CEST: '+0200', EET: '+0200', EEST: '+0300',
+  WET: '+0000', WEST: '+0100', JST: '+0900', KST: '+0900', HKT: '+0800', SGT: '+0800',
+  AEST: '+1000', AEDT: '+1100', ACST: '+0930', AWST: '+0800', NZST: '+1200', NZDT: '+1300'
+};
+
+/**
+ * Parse a feed date into an ISO UTC string, or null if it's missing or bad.
+ */
+export function normalizeDate(value, now = Date.now()) {
+  if (!value) return null;
+
+  let text = String(value).trim();
+  const zone = text.match(/\b([A-Z]{3,4})$/);
+  if (zone && ZONE_OFFSETS[zone[1]]) {
+    text = text.slice(0, zone.index) + ZONE_OFFSETS[zone[1]];
+  }
+
+  const time = Date.parse(text);
+  if (Number.isNaN(time) || time - now > MAX_FUTURE_SKEW) {
+    return null;
+  }
+  return new Date(time).toISOString();
+}
+
+export function ageInHours(isoDate, now = Date.now()) {
+  return Math.max(0, (now - Date.parse(isoDate)) / HOUR);
+}
+
+/**
+ * Recency from 1 (just published) down to 0 (at the edge of the window).
+ * Items without a date sit in the middle so they neither win nor lose on recency.
+ */
+export function recencyFactor(isoDate, maxAgeDays, now = Date.now()) {
+  if (!isoDate) return 0.5;
+  return Math.max(0, 1 - ageInHours(isoDate, now) / (maxAgeDays * 24));
+}
@@ -0,0 +1,155 @@
+/**
+ * Lookup index over the article archive, for "was this already published?"
+ *
+ * The archive only grows, so candidates are never compared against every
+ * archived headline. The index is built once per run and holds:
+ *   - canonical source URLs (primary and additional outlets, see canonical-url.js)
+ *   - exact normalized titles
+ *   - an inverted index from title words to archive entries, used to find
+ *     rephrased headlines that share most of their words
+ * Every match says which archived article it hit and why.
+ *
+ * Check a headline or link against the archive:
+ *   node scripts/published-index.js "Rare frog rediscovered in Ecuador"
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { canonicalizeUrl } from './canonical-url.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const ARCHIVE_PATH = path.join(__dirname, '..', 'data', 'article-archive.json');
+
+// Share of title words (of the shorter title) that must match for a rephrased headline
+const TITLE_OVERLAP_THRESHOLD = 0.7;
+// Titles with fewer significant words than this are only matched exactly
+const MIN_TITLE_WORDS = 4;
+
+// Normalize a title for comparison (lowercase, remove punctuation, collapse spaces)
+export function normalizeTitle(title) {
+  return (title || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 80); // Compare first 80 chars to catch slight variations
+}
+
+function titleWords(normalizedTitle) {
+  return [...new Set(normalizedTitle.split(' ').filter(w => w.length > 3))];
+}
+
+export function loadArchive(archivePath = ARCHIVE_PATH) {
+  if (!fs.existsSync(archivePath)) return [];
+  const archive = JSON.parse(fs.readFileSync(archivePath, 'utf8'));
+  return archive.articles || [];
+}
+
+/**
+ * Build the lookup index from archive entries ({ slug, headline, sourceUrl, canonicalUrl, additionalSources, publishedDate }).
+ */
+export function buildPublishedIndex(archivedArticles) {
+  const entries = [];
+  const byUrl = new Map();
+  const byTitle = new Map();
+  const byWord = new Map();
+
+  for (const article of archivedArticles) {
+    const normalized = normalizeTitle(article.headline);
+    const entry = {
+      slug: article.slug,
+      headline: article.headline,
+      sourceUrl: article.sourceUrl,
+      publishedDate: article.publishedDate,
+      words: titleWords(normalized)
+    };
+    const id = entries.push(entry) - 1;
+
+    const links = [article.canonicalUrl, article.sourceUrl, ...(article.additionalSources || []).map(s => s.link)];
+    for (const link of links) {
+      const key = canonicalizeUrl(link);
+      if (key && !byUrl.has(key)) byUrl.set(key, id);
+    }
+
+    if (normalized && !byTitle.has(normalized)) byTitle.set(normalized, id);
+
+    if (entry.words.length >= MIN_TITLE_WORDS) {
+      for (const word of entry.words) {
+        if (!byWord.has(word)) byWord.set(word, []);
+        byWord.get(word).push(id);
+      }
+    }
+  }
+
+  return { entries, byUrl, byTitle, byWord, size: entries.length };
+}
+
+function describe(entry, matchedBy, similarity = 1) {
+  const { words, ...article } = entry;
+  return { article, matchedBy, similarity };
+}
+
+/**
+ * Find the archived article a candidate duplicates, checking URLs first,
+ * then exact titles, then rephrased titles.
+ * Returns { article: { slug, headline, sourceUrl, publishedDate }, matchedBy, similarity } or null.
+ */
+export function findPublishedMatch(index, article) {
+  for (const link of [article.canonicalUrl, article.link, article.sourceUrl]) {
+    const key = canonicalizeUrl(link);
+    if (key && index.byUrl.has(key)) {
+      return describe(index.entries[index.byUrl.get(key)], 'url');
+    }
+  }
+
+  const normalized = normalizeTitle(article.title);
+  if (index.byTitle.has(normalized)) {
+    return describe(index.entries[index.byTitle.get(normalized)], 'title');
+  }
+
+  // Count shared words per archived title, touching only titles that share at least one
+  const words = titleWords(normalized);
+  if (words.length < MIN_TITLE_WORDS) return null;
+
+  const shared = new Map();
+  for (const word of words) {
+    for (const id of index.byWord.get(word) || []) {
+      shared.set(id, (shared.get(id) || 0) + 1);
+    }
+  }
+
+  let best = null;
+  for (const [id, count] of shared) {
+    const similarity = count / Math.min(words.length, index.entries[id].words.length);
+    if (similarity >= TITLE_OVERLAP_THRESHOLD && (!best || similarity > best.similarity)) {
+      best = { id, similarity };
+    }
+  }
+
+  return best
+    ? describe(index.entries[best.id], 'similar title', Math.round(best.similarity * 100) / 100)
+    : null;
+}
+
+// Run if called directly
+const isMainModule = process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1];
+if (isMainModule) {
+  const query = process.argv.slice(2).join(' ');
+  if (!query) {
+    console.error('Usage: node scripts/published-index.js "headline or link"');
+    process.exit(1);
+  }
+
+  const index = buildPublishedIndex(loadArchive());
+  const candidate = /^https?:\/\//.test(query) ? { link: query } : { title: query };
+  const match = findPublishedMatch(index, candidate);
+  if (!match) {
+    console.log(`No match among ${index.size} archived articles`);
+  } else {
+    console.log(`Matched by ${match.matchedBy} (similarity ${match.similarity}):`);
+    console.log(`  ${match.article.headline}`);
+    console.log(`  ${match.article.slug}, published ${match.article.publishedDate}`);
+    console.log(`  ${match.article.sourceUrl}`);
+  }
+}
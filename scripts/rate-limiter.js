@@ -0,0 +1,217 @@
+/**
+ * Shared rate limiter for model calls
+ *
+ * Every call waits for a slot: no more than maxConcurrency in flight, and
+ * token buckets for requests, input tokens and output tokens per minute.
+ * Input tokens are estimated before a call and corrected from the response's
+ * usage afterwards; output tokens are only known afterwards, so a bucket can
+ * go into debt and hold back the calls that follow.
+ *
+ * Failed calls are retried when the failure is worth retrying - rate limited
+ * (429), overloaded (529), other 5xx, timeouts and dropped connections - with
+ * jittered exponential back-off. A retry-after header wins over the back-off,
+ * and a 429 pauses every caller, not just the one that hit it.
+ */
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Rough token count for a request: ~4 characters per token
+export function estimateTokens(params) {
+  const text = JSON.stringify([params.system || '', params.messages, params.tools || []]);
+  return Math.ceil(text.length / 4);
+}
+
+// A bucket holding up to `perMinute` units, refilled continuously. It may go negative.
+function createBucket(perMinute) {
+  if (!Number.isFinite(perMinute)) {
+    return { level: () => Infinity, take() {}, waitFor: () => 0 };
+  }
+
+  let level = perMinute;
+  let refilledAt = Date.now();
+  const refill = () => {
+    const now = Date.now();
+    level = Math.min(perMinute, level + ((now - refilledAt) * perMinute) / 60000);
+    refilledAt = now;
+    return level;
+  };
+
+  return {
+    level: refill,
+    take(amount) {
+      refill();
+      level -= amount;
+    },
+    // Milliseconds until the bucket holds `amount` (or all it can hold)
+    waitFor(amount) {
+      const missing = Math.min(amount, perMinute) - refill();
+      return missing > 0 ? Math.ceil((missing * 60000) / perMinute) : 0;
+    }
+  };
+}
+
+function headerValue(headers, name) {
+  if (!headers) return null;
+  return typeof headers.get === 'function' ? headers.get(name) : headers[name] ?? null;
+}
+
+// retry-after as milliseconds (seconds or an HTTP date), or null
+export function retryAfterMs(error) {
+  const value = headerValue(error.headers, 'retry-after');
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+export function isRetryable(error) {
+  if (error.status === undefined) {
+    // Network failures and timeouts have no HTTP status
+    return /connection|timeout|timed out|ECONNRESET|ETIMEDOUT|socket/i.test(`${error.name} ${error.message}`);
+  }
+  return error.status === 408 || error.status === 429 || error.status >= 500 || error.error?.type === 'overloaded_error';
+}
+
+function describeFailure(error) {
+  if (error.status === 429) return 'Rate limited (429)';
+  if (error.status === 529 || error.error?.type === 'overloaded_error') return 'Overloaded (529)';
+  return error.status ? `Server error (${error.status})` : `Connection failed (${error.message})`;
+}
+
+/**
+ * Create a limiter from loadLlmConfig() settings.
+ * limiter.run(fn, { estimatedTokens }) runs fn (which returns a Messages API
+ * response) once a slot is free, retrying as described above.
+ */
+export function createRateLimiter({
+  requestsPerMinute = Infinity,
+  inputTokensPerMinute = Infinity,
+  outputTokensPerMinute = Infinity,
+  maxConcurrency = 4,
+  maxRetries = 5,
+  retryBaseDelayMs = 1000,
+  retryMaxDelayMs = 60000
+} = {}) {
+  const requests = createBucket(requestsPerMinute);
+  const inputTokens = createBucket(inputTokensPerMinute);
+  const outputTokens = createBucket(outputTokensPerMinute);
+  const queue = [];
+  let active = 0;
+  let pausedUntil = 0;
+  let timer = null;
+
+  function wake(ms) {
+    if (timer) return;
+    timer = setTimeout(() => {
+      timer = null;
+      pump();
+    }, ms);
+  }
+
+  // Start queued calls while there are slots and budget, in arrival order
+  function pump() {
+    while (queue.length > 0 && active < maxConcurrency) {
+      const next = queue[0];
+      const wait = Math.max(
+        pausedUntil - Date.now(),
+        requests.waitFor(1),
+        inputTokens.waitFor(next.tokens),
+        outputTokens.level() > 0 ? 0 : outputTokens.waitFor(1)
+      );
+      if (wait > 0) {
+        wake(wait);
+        return;
+      }
+      queue.shift();
+      requests.take(1);
+      inputTokens.take(next.tokens);
+      active++;
+      next.start();
+    }
+  }
+
+  function acquire(tokens) {
+    return new Promise(resolve => {
+      queue.push({ tokens, start: resolve });
+      pump();
+    });
+  }
+
+  function release() {
+    active--;
+    pump();
+  }
+
+  // Exponential back-off, jittered to between half and all of each step so callers spread out
+  function backoff(attempt) {
+    const ceiling = Math.min(retryMaxDelayMs, retryBaseDelayMs * 2 ** (attempt - 1));
+    return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+  }
+
+  async function run(fn, { estimatedTokens = 0 } = {}) {
+    for (let attempt = 1; ; attempt++) {
+      await acquire(estimatedTokens);
+      let response;
+      let failure;
+      try {
+        response = await fn();
+      } catch (error) {
+        failure = error;
+      }
+      release();
+
+      if (!failure) {
+        const usage = response?.usage;
+        if (usage) {
+          inputTokens.take((usage.input_tokens || 0) - estimatedTokens);
+          outputTokens.take(usage.output_tokens || 0);
+        }
+        return response;
+      }
+
+      if (!isRetryable(failure) || attempt > maxRetries) {
+        throw failure;
+      }
+      const wait = retryAfterMs(failure) ?? backoff(attempt);
+      if (failure.status === 429) {
+        pausedUntil = Math.max(pausedUntil, Date.now() + wait);
+      }
+      console.log(`    ⏳ ${describeFailure(failure)} - retrying in ${(wait / 1000).toFixed(1)}s (retry ${attempt}/${maxRetries})`);
+      await sleep(wait);
+    }
+  }
+
+  return {
+    run,
+    get active() {
+      return active;
+    },
+    get queued() {
+      return queue.length;
+    }
+  };
+}
+
+/**
+ * Run fn(item, index) over items with at most `limit` running at once.
+ * Resolves when all are done (fn should handle its own errors).
+ */
+export async function runConcurrently(items, limit, fn) {
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      await fn(items[index], index);
+    }
+  });
+  await Promise.all(workers);
+}
+
+// A provider (see scripts/llm-providers/) whose requests all go through the limiter
+export function limitProvider(provider, limiter) {
+  return {
+    ...provider,
+    createMessage: (params) => limiter.run(() => provider.createMessage(params), { estimatedTokens: estimateTokens(params) })
+  };
+}
@@ -0,0 +1,57 @@
+/**
+ * Notes shown on each article on the review pages
+ *
+ * Shared by the local review server (scripts/review-server.js) and the
+ * review page on the live site (review.html, which imports this file from
+ * /scripts/), so the two never disagree. No Node-only imports: the browser
+ * loads it as it is.
+ */
+
+function escapeHtml(text) {
+  if (!text) return '';
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Warn about articles whose canonical source URL is already archived or shared
+ * with another article in this batch. `findArchived(canonicalUrl)` returns the
+ * archived article for a URL, if any; `canonicalUrlOf` can work one out for
+ * articles curated before canonicalUrl was stored.
+ * Returns a Map from article index to note.
+ */
+export function findDuplicateSources(articles, { findArchived = () => null, canonicalUrlOf = article => article.canonicalUrl } = {}) {
+  const firstByUrl = new Map();
+  const notes = new Map();
+
+  articles.forEach((article, index) => {
+    const canonicalUrl = canonicalUrlOf(article);
+    if (!canonicalUrl) return;
+
+    const match = findArchived(canonicalUrl);
+    if (match && match.slug !== article.slug) {
+      notes.set(index, `Source already published ${match.publishedDate}: "${match.headline}"`);
+    } else if (firstByUrl.has(canonicalUrl)) {
+      notes.set(index, `Same source as "${articles[firstByUrl.get(canonicalUrl)].headline}"`);
+    } else {
+      firstByUrl.set(canonicalUrl, index);
+    }
+  });
+
+  return notes;
+}
+
+// Header note and issue list for articles that failed (or never got) a fact-check, after any revisions
+export function factCheckNote(article) {
+  const factCheck = article.factCheck;
+  if (!factCheck || factCheck.passed) return { note: '', issues: '' };
+  const revisions = Math.max(0, (article.history?.length || 1) - 1);
+  const status = factCheck.status === 'unverified' ? 'Not fact-checked' : 'Failed fact-check';
+  return {
+    note: `<p class="fact-check-note">❌ ${status}${revisions ? ` after ${revisions} revision${revisions === 1 ? '' : 's'}` : ''} - denied unless you approve it</p>`,
+    issues: `<div class="full-content"><h4>Fact-check issues</h4><ul class="fact-check-issues">${(factCheck.issues || []).map(issue => `<li>${escapeHtml(issue)}</li>`).join('')}</ul></div>`
+  };
+}
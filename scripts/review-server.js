@@ -11,6 +11,10 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { generateSite } from './generate-site.js';
+import { canonicalizeUrl } from './canonical-url.js';
+import { loadArchive, buildPublishedIndex, findPublishedMatch } from './published-index.js';
+import { LANGUAGE_NAMES } from './language-detect.js';
+import { findDuplicateSources, factCheckNote } from './review-notes.js';
 import { exec } from 'child_process';
 import { promisify } from 'util';
 
@@ -50,10 +54,20 @@ function saveArticles(data) {
   fs.writeFileSync(curatedPath, JSON.stringify(data, null, 2));
 }
 
+// Review notes for this batch, with archived sources looked up in the published index
+function findDuplicateSourceNotes(articles) {
+  const publishedIndex = buildPublishedIndex(loadArchive());
+  return findDuplicateSources(articles, {
+    findArchived: canonicalUrl => findPublishedMatch(publishedIndex, { canonicalUrl })?.article,
+    canonicalUrlOf: article => article.canonicalUrl || canonicalizeUrl(article.sourceUrl)
+  });
+}
+
 // Generate the review HTML page
 function generateReviewHTML(data) {
   const articles = data.allArticles || [];
   const approvedCount = articles.filter(a => a.approved).length;
+  const duplicateNotes = findDuplicateSourceNotes(articles);
 
   const articlesHTML = articles.map((article, index) => {
     const statusClass = article.approved ? 'approved' : 'denied';
@@ -64,6 +78,7 @@ function generateReviewHTML(data) {
       wildlife: '#e84393',
       people: '#7b68ee'
     }[article.category] || '#666';
+    const factCheck = factCheckNote(article);
 
     return `
       <div class="article-item ${statusClass}" data-index="${index}">
@@ -74,6 +89,8 @@ function generateReviewHTML(data) {
           <div class="article-info">
             <span class="category-tag" style="background: ${categoryColor}">${article.category}</span>
             <h3>${escapeHtml(article.headline)}</h3>
+            ${duplicateNotes.has(index) ? `<p class="duplicate-note">⚠️ ${escapeHtml(duplicateNotes.get(index))}</p>` : ''}
+            ${factCheck.note}
           </div>
           <div class="article-actions">
             <button class="btn btn-approve ${article.approved ? 'active' : ''}" onclick="event.stopPropagation(); setApproval(${index}, true)">Approve</button>
@@ -86,8 +103,10 @@ function generateReviewHTML(data) {
             <span>By ${escapeHtml(article.author)}</span>
             <span>${article.readTime} min read</span>
             <span>Source: ${escapeHtml(article.sourceName)}</span>
+            ${article.originalLanguage ? `<span class="translated">Translated from ${escapeHtml(LANGUAGE_NAMES[article.originalLanguage] || article.originalLanguage)}</span>` : ''}
           </div>
           <p class="excerpt">${escapeHtml(article.excerpt)}</p>
+          ${factCheck.issues}
           ${article.fullContent ? `
             <div class="full-content">
               <h4>Lead</h4>
@@ -239,6 +258,10 @@ function generateReviewHTML(data) {
         .full-content h4 { font-size: 0.8rem; color: #666; text-transform: uppercase; margin: 0.5rem 0; }
         .full-content p { font-size: 0.9rem; margin-bottom: 0.75rem; }
         .source-link { color: #4368ff; font-weight: 600; text-decoration: none; }
+        .duplicate-note { font-size: 0.85rem; color: #b45309; margin-top: 0.25rem; }
+        .translated { color: #b45309; font-weight: 600; }
+        .fact-check-note { font-size: 0.85rem; color: #e85d4c; margin-top: 0.25rem; }
+        .fact-check-issues { font-size: 0.9rem; margin-left: 1.25rem; }
         .source-link:hover { text-decoration: underline; }
         .loading { text-align: center; padding: 3rem; color: #666; }
         .message {
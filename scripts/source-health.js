@@ -0,0 +1,125 @@
+/**
+ * Per-source health history
+ *
+ * Each fetch run appends one entry to data/source-health.json recording, per
+ * source, the outcome, latency, item count, how many items passed the
+ * positivity filter and how many survived dedup. The report flags sources
+ * that keep failing or never yield usable stories.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const HEALTH_PATH = path.join(__dirname, '..', 'data', 'source-health.json');
+
+// Runs kept in the history file
+const MAX_RUNS = 90;
+
+// Report thresholds
+export const REPORT_WINDOW = 14;
+const CONSECUTIVE_FAILURES_ALERT = 3;
+const FAILURE_RATE_ALERT = 0.5;
+const MIN_RUNS_FOR_YIELD_CHECK = 5;
+
+export function loadHealthHistory(healthPath = HEALTH_PATH) {
+  if (!fs.existsSync(healthPath)) return { runs: [] };
+  try {
+    const history = JSON.parse(fs.readFileSync(healthPath, 'utf8'));
+    return { runs: history.runs || [] };
+  } catch (e) {
+    console.log('Could not read source health history, starting a new one');
+    return { runs: [] };
+  }
+}
+
+// Record the fetch outcome for one source (stats is keyed by source id)
+export function recordFetch(stats, source, { outcome, status = null, latencyMs, items = 0, error = null }) {
+  stats[source.id] = {
+    name: source.name,
+    outcome,
+    status,
+    latencyMs,
+    items,
+    passed: 0,
+    unique: 0,
+    ...(error && { error })
+  };
+}
+
+// Count how many items from each source passed the positivity filter and survived dedup
+export function recordCounts(stats, field, articles) {
+  for (const article of articles) {
+    if (stats[article.sourceId]) {
+      stats[article.sourceId][field]++;
+    }
+  }
+}
+
+// Append this run to the history file
+export function saveRunStats(stats, healthPath = HEALTH_PATH) {
+  const history = loadHealthHistory(healthPath);
+  history.runs.push({ runAt: new Date().toISOString(), sources: stats });
+  history.runs = history.runs.slice(-MAX_RUNS);
+  fs.writeFileSync(healthPath, JSON.stringify(history, null, 2));
+}
+
+/**
+ * Summarize the last `window` runs for each source and flag problems.
+ * Returns [{ id, name, runs, failures, consecutiveFailures, avgLatencyMs, items, passed, unique, flags }].
+ */
+export function buildHealthReport(sources, history, { window = REPORT_WINDOW } = {}) {
+  const recentRuns = history.runs.slice(-window);
+
+  return sources.map(source => {
+    const entries = recentRuns.map(run => run.sources[source.id]).filter(Boolean);
+    const failures = entries.filter(e => e.outcome === 'error').length;
+
+    let consecutiveFailures = 0;
+    for (let i = entries.length - 1; i >= 0 && entries[i].outcome === 'error'; i--) {
+      consecutiveFailures++;
+    }
+
+    const timed = entries.filter(e => typeof e.latencyMs === 'number');
+    const avgLatencyMs = timed.length
+      ? Math.round(timed.reduce((sum, e) => sum + e.latencyMs, 0) / timed.length)
+      : null;
+
+    const totals = { items: 0, passed: 0, unique: 0 };
+    for (const e of entries) {
+      totals.items += e.items || 0;
+      totals.passed += e.passed || 0;
+      totals.unique += e.unique || 0;
+    }
+
+    const flags = [];
+    if (entries.length === 0) {
+      flags.push('no runs recorded');
+    } else {
+      if (consecutiveFailures >= CONSECUTIVE_FAILURES_ALERT) {
+        flags.push(`failing (${consecutiveFailures} runs in a row)`);
+      } else if (failures / entries.length >= FAILURE_RATE_ALERT) {
+        flags.push(`unreliable (${failures}/${entries.length} runs failed)`);
+      }
+      if (entries.length >= MIN_RUNS_FOR_YIELD_CHECK && totals.unique === 0) {
+        flags.push(totals.items === 0 ? 'returns no items' : 'never yields usable stories');
+      }
+      const lastError = [...entries].reverse().find(e => e.error);
+      if (consecutiveFailures > 0 && lastError) {
+        flags.push(`last error: ${lastError.error}`);
+      }
+    }
+
+    return {
+      id: source.id,
+      name: source.name,
+      runs: entries.length,
+      failures,
+      consecutiveFailures,
+      avgLatencyMs,
+      ...totals,
+      flags
+    };
+  });
+}
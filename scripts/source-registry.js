@@ -0,0 +1,150 @@
+/**
+ * Source registry - loads news sources from config/sources.json
+ *
+ * Each source has a URL, default category, trust level, score weight,
+ * per-feed item limit and enabled flag, and can override the recency
+ * window from config/fetch.json with maxAgeDays. Editors change the config file
+ * (or use `npm run sources`) instead of editing fetch code.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ADAPTER_TYPES, getAdapter } from './adapters/index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const SOURCES_PATH = path.join(__dirname, '..', 'config', 'sources.json');
+
+export const SOURCE_CATEGORIES = ['general', 'climate', 'health', 'science', 'wildlife', 'people'];
+export const TRUST_LEVELS = ['high', 'standard'];
+
+const DEFAULTS = {
+  type: 'rss',
+  trust: 'standard',
+  weight: 0,
+  limit: 20,
+  enabled: true
+};
+
+// Read the raw config file (defaults + source list)
+export function readSourcesConfig(configPath = SOURCES_PATH) {
+  if (!fs.existsSync(configPath)) {
+    return { defaults: { ...DEFAULTS }, sources: [] };
+  }
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  return {
+    defaults: { ...DEFAULTS, ...(config.defaults || {}) },
+    sources: config.sources || []
+  };
+}
+
+export function writeSourcesConfig(config, configPath = SOURCES_PATH) {
+  fs.mkdirSync(path.dirname(configPath), { recursive: true });
+  fs.writeFileSync(configPath, JSON.stringify(config, null, 2) + '\n');
+}
+
+// Load sources with defaults applied. Disabled sources are skipped unless asked for.
+export function loadSources({ includeDisabled = false, configPath = SOURCES_PATH } = {}) {
+  const { defaults, sources } = readSourcesConfig(configPath);
+  return sources
+    .map(source => ({ ...defaults, ...source }))
+    .filter(source => includeDisabled || source.enabled);
+}
+
+// Generate a source id from its name
+export function sourceId(name) {
+  return name
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, '')
+    .trim()
+    .replace(/\s+/g, '-')
+    .replace(/-+/g, '-');
+}
+
+// Check every source for missing or bad fields. Returns a list of problems.
+export function validateSources(sources) {
+  const problems = [];
+  const ids = new Set();
+  const urls = new Set();
+
+  sources.forEach((source, i) => {
+    const label = source.id || source.name || `#${i + 1}`;
+
+    if (!source.id) problems.push(`${label}: missing id`);
+    if (!source.name) problems.push(`${label}: missing name`);
+
+    if (!ADAPTER_TYPES.includes(source.type)) {
+      problems.push(`${label}: type must be one of ${ADAPTER_TYPES.join(', ')}`);
+    } else {
+      for (const field of getAdapter(source.type).requiredFields) {
+        if (!source[field]) problems.push(`${label}: missing ${field}`);
+      }
+    }
+
+    if (source.url) {
+      try {
+        const url = new URL(source.url);
+        if (!['http:', 'https:'].includes(url.protocol)) {
+          problems.push(`${label}: url must be http(s)`);
+        }
+      } catch (e) {
+        problems.push(`${label}: invalid url "${source.url}"`);
+      }
+    }
+
+    if (!SOURCE_CATEGORIES.includes(source.category)) {
+      problems.push(`${label}: category must be one of ${SOURCE_CATEGORIES.join(', ')}`);
+    }
+    if (!TRUST_LEVELS.includes(source.trust)) {
+      problems.push(`${label}: trust must be one of ${TRUST_LEVELS.join(', ')}`);
+    }
+    if (typeof source.weight !== 'number' || Number.isNaN(source.weight)) {
+      problems.push(`${label}: weight must be a number`);
+    }
+    if (!Number.isInteger(source.limit) || source.limit < 1) {
+      problems.push(`${label}: limit must be a positive integer`);
+    }
+    if (source.maxAgeDays !== undefined && !(source.maxAgeDays > 0)) {
+      problems.push(`${label}: maxAgeDays must be a positive number`);
+    }
+    for (const field of ['dailyRequestBudget', 'maxPages']) {
+      if (source[field] !== undefined && !(Number.isInteger(source[field]) && source[field] > 0)) {
+        problems.push(`${label}: ${field} must be a positive whole number`);
+      }
+    }
+    if (source.queries !== undefined) {
+      if (!Array.isArray(source.queries) || source.queries.some(query => !query.q)) {
+        problems.push(`${label}: queries must be a list of { q, category }`);
+      } else {
+        for (const query of source.queries.filter(query => query.category && !SOURCE_CATEGORIES.includes(query.category))) {
+          problems.push(`${label}: query "${query.q}" has unknown category "${query.category}"`);
+        }
+      }
+    }
+    if (typeof source.enabled !== 'boolean') {
+      problems.push(`${label}: enabled must be true or false`);
+    }
+
+    if (source.id && ids.has(source.id)) problems.push(`${label}: duplicate id`);
+    if (source.url && urls.has(source.url)) problems.push(`${label}: duplicate url`);
+    ids.add(source.id);
+    urls.add(source.url);
+  });
+
+  return problems;
+}
+
+// Look up a source by its display name (articles carry the name, not the id)
+function findSourceByName(name, sources) {
+  return sources.find(source => source.name === name);
+}
+
+// Trusted sources get through the positivity filter even without positive keywords
+export function isTrustedSource(name, sources) {
+  return findSourceByName(name, sources)?.trust === 'high';
+}
+
+// Score bonus (or penalty) configured for a source
+export function getSourceWeight(name, sources) {
+  return findSourceByName(name, sources)?.weight || 0;
+}
@@ -0,0 +1,177 @@
+/**
+ * Manage news sources in config/sources.json
+ *
+ * Usage:
+ *   npm run sources -- list
+ *   npm run sources -- add --name "Mongabay" --url https://news.mongabay.com/feed/ --category wildlife [--type rss|atom|jsonfeed|reddit] [--trust high] [--weight 2] [--limit 20]
+ *   npm run sources -- add --name "Press Releases" --type inbox --path data/press-inbox
+ *   npm run sources -- disable <id>
+ *   npm run sources -- enable <id>
+ *   npm run sources -- validate
+ *   npm run sources -- report [--runs 14]
+ */
+
+import { fileURLToPath } from 'url';
+import {
+  readSourcesConfig,
+  writeSourcesConfig,
+  loadSources,
+  validateSources,
+  sourceId
+} from './source-registry.js';
+import { loadHealthHistory, buildHealthReport, REPORT_WINDOW } from './source-health.js';
+
+// Parse --flag value pairs into an object
+function parseFlags(args) {
+  const flags = {};
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      const key = args[i].slice(2);
+      const next = args[i + 1];
+      if (next === undefined || next.startsWith('--')) {
+        flags[key] = true;
+      } else {
+        flags[key] = next;
+        i++;
+      }
+    }
+  }
+  return flags;
+}
+
+function listSources() {
+  const sources = loadSources({ includeDisabled: true });
+  console.log(`${sources.length} sources (${sources.filter(s => s.enabled).length} enabled)\n`);
+  for (const source of sources) {
+    const status = source.enabled ? '✓' : '✗';
+    const trust = source.trust === 'high' ? ' [trusted]' : '';
+    const weight = source.weight ? ` weight ${source.weight > 0 ? '+' : ''}${source.weight}` : '';
+    console.log(`  ${status} ${source.id.padEnd(28)} ${source.category.padEnd(9)} limit ${source.limit}${weight}${trust}`);
+    console.log(`      ${source.name} (${source.type}) - ${source.url || source.path}`);
+  }
+}
+
+function addSource(flags) {
+  if (!flags.name || !(flags.url || flags.path)) {
+    console.error('Usage: sources add --name <name> --url <url> --category <category> [--type rss|atom|jsonfeed|reddit|inbox] [--path dir] [--trust high|standard] [--weight n] [--limit n]');
+    process.exit(1);
+  }
+
+  const config = readSourcesConfig();
+  const source = {
+    id: flags.id || sourceId(flags.name),
+    name: flags.name,
+    category: flags.category || 'general'
+  };
+  if (flags.type) source.type = flags.type;
+  if (flags.url) source.url = flags.url;
+  if (flags.path) source.path = flags.path;
+  if (flags.trust) source.trust = flags.trust;
+  if (flags.weight !== undefined) source.weight = Number(flags.weight);
+  if (flags.limit !== undefined) source.limit = Number(flags.limit);
+  if (flags.disabled) source.enabled = false;
+
+  const problems = validateSources([...config.sources, source].map(s => ({ ...config.defaults, ...s })));
+  if (problems.length > 0) {
+    console.error('Could not add source:');
+    problems.forEach(p => console.error(`  - ${p}`));
+    process.exit(1);
+  }
+
+  config.sources.push(source);
+  writeSourcesConfig(config);
+  console.log(`✅ Added ${source.name} (${source.id})`);
+}
+
+function setEnabled(id, enabled) {
+  if (!id) {
+    console.error(`Usage: sources ${enabled ? 'enable' : 'disable'} <id>`);
+    process.exit(1);
+  }
+
+  const config = readSourcesConfig();
+  const source = config.sources.find(s => s.id === id);
+  if (!source) {
+    console.error(`No source with id "${id}". Run "sources list" to see ids.`);
+    process.exit(1);
+  }
+
+  source.enabled = enabled;
+  writeSourcesConfig(config);
+  console.log(`✅ ${enabled ? 'Enabled' : 'Disabled'} ${source.name}`);
+}
+
+function validate() {
+  const sources = loadSources({ includeDisabled: true });
+  const problems = validateSources(sources);
+  if (problems.length > 0) {
+    console.error(`❌ ${problems.length} problem(s) in config/sources.json:`);
+    problems.forEach(p => console.error(`  - ${p}`));
+    process.exit(1);
+  }
+  console.log(`✅ ${sources.length} sources valid`);
+}
+
+function report(flags) {
+  const history = loadHealthHistory();
+  if (history.runs.length === 0) {
+    console.log('No fetch runs recorded yet. Run "npm run fetch" first.');
+    return;
+  }
+
+  const window = Number(flags.runs) || REPORT_WINDOW;
+  const rows = buildHealthReport(loadSources(), history, { window });
+
+  const runCount = Math.min(history.runs.length, window);
+  console.log(`Source health over the last ${runCount} run(s)\n`);
+  console.log(`  ${'source'.padEnd(28)} ${'ok'.padStart(5)} ${'latency'.padStart(8)} ${'items'.padStart(6)} ${'passed'.padStart(6)} ${'unique'.padStart(6)}`);
+
+  for (const row of rows) {
+    const ok = `${row.runs - row.failures}/${row.runs}`;
+    const latency = row.avgLatencyMs === null ? '-' : `${row.avgLatencyMs}ms`;
+    const marker = row.flags.length > 0 ? '⚠️ ' : '  ';
+    console.log(`${marker}${row.id.padEnd(28)} ${ok.padStart(5)} ${latency.padStart(8)} ${String(row.items).padStart(6)} ${String(row.passed).padStart(6)} ${String(row.unique).padStart(6)}`);
+    row.flags.forEach(flag => console.log(`      - ${flag}`));
+  }
+
+  const flagged = rows.filter(row => row.flags.length > 0);
+  console.log(flagged.length > 0
+    ? `\n${flagged.length} source(s) need attention. Disable with "npm run sources -- disable <id>".`
+    : '\n✅ All sources healthy');
+}
+
+export function runSourcesCommand(argv) {
+  const [command, ...args] = argv;
+  const flags = parseFlags(args);
+
+  switch (command) {
+    case 'list':
+    case undefined:
+      listSources();
+      break;
+    case 'add':
+      addSource(flags);
+      break;
+    case 'disable':
+      setEnabled(args[0], false);
+      break;
+    case 'enable':
+      setEnabled(args[0], true);
+      break;
+    case 'validate':
+      validate();
+      break;
+    case 'report':
+      report(flags);
+      break;
+    default:
+      console.error(`Unknown command "${command}". Use list, add, disable, enable, validate or report.`);
+      process.exit(1);
+  }
+}
+
+// Run if called directly
+const isMainModule = process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1];
+if (isMainModule) {
+  runSourcesCommand(process.argv.slice(2));
+}
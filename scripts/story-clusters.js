@@ -0,0 +1,171 @@
+/**
+ * Group near-duplicate items from different outlets into one story
+ *
+ * Each item's title + description is reduced to a set of content-word
+ * shingles and a MinHash signature. Locality-sensitive hashing over the
+ * signatures finds candidate pairs, which are confirmed with the exact
+ * Jaccard similarity of their shingle sets. Each cluster keeps one primary
+ * article and lists the other outlets as additionalSources.
+ */
+
+// Number of MinHash functions and how they're banded for candidate lookup
+const NUM_HASHES = 64;
+const BANDS = 32;
+const ROWS_PER_BAND = NUM_HASHES / BANDS;
+
+// Minimum Jaccard similarity of shingle sets for two items to be the same story
+export const DEFAULT_SIMILARITY_THRESHOLD = 0.35;
+
+const STOP_WORDS = new Set([
+  'the', 'a', 'an', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'for', 'with', 'at', 'by',
+  'from', 'as', 'into', 'about', 'after', 'over', 'is', 'are', 'was', 'were', 'be', 'been',
+  'has', 'have', 'had', 'it', 'its', 'this', 'that', 'these', 'those', 'their', 'they',
+  'will', 'can', 'could', 'would', 'may', 'new', 'how', 'why', 'what', 'who', 'says', 'said',
+  'than', 'more', 'up', 'out', 'not', 'no', 'we', 'our', 'you', 'your', 'post', 'appeared', 'first'
+]);
+
+// Lowercase, strip punctuation, drop stop words and plural endings
+function contentWords(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+    .map(word => word.length > 4 ? word.replace(/(es|s)$/, '') : word);
+}
+
+// Shingle set for an item: its distinct content words
+export function shingles(article) {
+  return new Set(contentWords(`${article.title || ''} ${article.description || ''}`));
+}
+
+// 32-bit FNV-1a hash, seeded so each MinHash function is independent
+function hash(text, seed) {
+  let h = (0x811c9dc5 ^ seed) >>> 0;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+}
+
+export function minHashSignature(shingleSet) {
+  const signature = new Array(NUM_HASHES).fill(0xffffffff);
+  for (const shingle of shingleSet) {
+    for (let i = 0; i < NUM_HASHES; i++) {
+      const h = hash(shingle, i * 0x9e3779b1);
+      if (h < signature[i]) signature[i] = h;
+    }
+  }
+  return signature;
+}
+
+export function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const item of a) {
+    if (b.has(item)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+// Minimal union-find for merging matched pairs into clusters
+function createUnionFind(size) {
+  const parent = Array.from({ length: size }, (_, i) => i);
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const union = (a, b) => { parent[find(a)] = find(b); };
+  return { find, union };
+}
+
+// Default choice of primary article: highest positivity, then the longest description
+function defaultRank(article) {
+  return [article.positivityScore || 0, (article.description || '').length];
+}
+
+function compareRanks(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return b[i] - a[i];
+  }
+  return 0;
+}
+
+/**
+ * Cluster near-duplicate articles.
+ * Returns [{ primary, members, similarity }] with clusters in first-seen order.
+ */
+export function clusterStories(articles, { threshold = DEFAULT_SIMILARITY_THRESHOLD, rank = defaultRank } = {}) {
+  const sets = articles.map(shingles);
+  const signatures = sets.map(minHashSignature);
+  const { find, union } = createUnionFind(articles.length);
+  const bestSimilarity = new Array(articles.length).fill(0);
+
+  // LSH: items that share any band are candidate pairs
+  const buckets = new Map();
+  signatures.forEach((signature, index) => {
+    if (sets[index].size === 0) return;
+    for (let band = 0; band < BANDS; band++) {
+      const key = `${band}:${signature.slice(band * ROWS_PER_BAND, (band + 1) * ROWS_PER_BAND).join(',')}`;
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(index);
+    }
+  });
+
+  const checked = new Set();
+  for (const bucket of buckets.values()) {
+    for (let i = 0; i < bucket.length; i++) {
+      for (let j = i + 1; j < bucket.length; j++) {
+        const pairKey = `${bucket[i]}:${bucket[j]}`;
+        if (checked.has(pairKey)) continue;
+        checked.add(pairKey);
+
+        const similarity = jaccard(sets[bucket[i]], sets[bucket[j]]);
+        if (similarity >= threshold) {
+          union(bucket[i], bucket[j]);
+          bestSimilarity[bucket[i]] = Math.max(bestSimilarity[bucket[i]], similarity);
+          bestSimilarity[bucket[j]] = Math.max(bestSimilarity[bucket[j]], similarity);
+        }
+      }
+    }
+  }
+
+  // Gather clusters, keeping first-seen order
+  const groups = new Map();
+  articles.forEach((article, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(index);
+  });
+
+  return [...groups.values()].map(indices => {
+    const members = indices.map(i => articles[i]);
+    const primary = [...members].sort((a, b) => compareRanks(rank(a), rank(b)))[0];
+    const similarity = Math.max(0, ...indices.map(i => bestSimilarity[i]));
+    return { primary, members, similarity };
+  });
+}
+
+/**
+ * Collapse each cluster to its primary article, listing the other outlets
+ * as additionalSources ({ source, title, link }).
+ */
+export function mergeClusters(clusters) {
+  return clusters.map(({ primary, members }) => {
+    const others = members.filter(member => member !== primary);
+    if (others.length === 0) return primary;
+
+    // Skip repeat links (the same item fetched through two feeds, possibly with different tracking parameters)
+    const linkKey = article => article.canonicalUrl || article.link;
+    const seenLinks = new Set([linkKey(primary)]);
+    const additionalSources = [];
+    for (const other of others) {
+      if (seenLinks.has(linkKey(other))) continue;
+      seenLinks.add(linkKey(other));
+      additionalSources.push({ source: other.source, title: other.title, link: other.link });
+    }
+
+    return {
+      ...primary,
+      additionalSources: [...(primary.additionalSources || []), ...additionalSources]
+    };
+  });
+}
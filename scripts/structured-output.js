@@ -0,0 +1,226 @@
+/**
+ * Structured output from Claude through tool use, validated against a JSON schema
+ *
+ * Instead of asking for JSON in free text and fishing it out with a regex,
+ * the model is made to call a single tool whose input_schema is the payload
+ * schema (scripts/llm-schemas.js). The tool input is then:
+ *   1. validated against the schema
+ *   2. if invalid, repaired where the fix is mechanical (a "4" where a number
+ *      belongs, "True" for true, an object sent as a JSON string, ...)
+ *   3. if still invalid, sent back to the model as a tool error listing the
+ *      problems, and the call is retried
+ * Every violation - repaired or not - is appended to data/llm-violations.jsonl
+ * together with the raw response, for debugging prompt regressions.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const VIOLATIONS_PATH = path.join(__dirname, '..', 'data', 'llm-violations.jsonl');
+
+// Entries kept in the violations log
+const MAX_LOGGED_VIOLATIONS = 200;
+
+// Attempts per call, and how much to raise max_tokens after a truncated response
+const DEFAULT_ATTEMPTS = 3;
+const TRUNCATION_GROWTH = 1.5;
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function typeMatches(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Check a value against the subset of JSON Schema used in llm-schemas.js
+ * (type, properties, required, items, enum, minLength, minItems, minimum, maximum).
+ * Returns a list of problems, empty when valid.
+ */
+export function validateSchema(value, schema, at = '$') {
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some(type => typeMatches(value, type))) {
+    return [`${at}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+  }
+
+  const problems = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push(`${at}: must be one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`);
+  }
+  if (typeof value === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+    problems.push(`${at}: must not be empty`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) problems.push(`${at}: must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) problems.push(`${at}: must be at most ${schema.maximum}`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems && value.length < schema.minItems) {
+      problems.push(`${at}: needs at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => problems.push(...validateSchema(item, schema.items, `${at}[${i}]`)));
+    }
+  }
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) problems.push(`${at}.${key}: missing`);
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        problems.push(...validateSchema(value[key], propertySchema, `${at}.${key}`));
+      }
+    }
+  }
+  return problems;
+}
+
+/**
+ * Mechanical repairs towards a schema. Anything that needs judgement is left
+ * alone for validation to report.
+ */
+export function coerceToSchema(value, schema) {
+  const types = [].concat(schema.type || []);
+
+  // Nested objects and arrays sometimes arrive as JSON strings
+  if (typeof value === 'string' && (types.includes('object') || types.includes('array')) && !types.includes('string')) {
+    try {
+      value = JSON.parse(value);
+    } catch (e) {
+      // Not JSON - a lone string may still be wrapped into an array below
+    }
+  }
+
+  if (value === undefined && types.includes('null')) return null;
+
+  if (typeof value === 'string') {
+    const text = value.trim();
+    if (types.includes('boolean') && /^(true|false)$/i.test(text)) return text.toLowerCase() === 'true';
+    if ((types.includes('integer') || types.includes('number')) && !types.includes('string')) {
+      const number = parseFloat(text);
+      if (!Number.isNaN(number)) value = number;
+    }
+    if (schema.enum && typeof value === 'string') {
+      return schema.enum.find(option => String(option).toLowerCase() === text.toLowerCase()) ?? value;
+    }
+  }
+
+  if (typeof value === 'number' && types.includes('integer') && !types.includes('number')) {
+    value = Math.round(value);
+  }
+
+  if (types.includes('array') && value !== null && value !== undefined && !Array.isArray(value)) {
+    value = [value];
+  }
+  if (Array.isArray(value) && schema.items) {
+    return value.map(item => coerceToSchema(item, schema.items));
+  }
+
+  if (typeOf(value) === 'object' && schema.properties) {
+    const repaired = { ...value };
+    for (const [key, propertySchema] of Object.entries(schema.properties)) {
+      const fixed = coerceToSchema(repaired[key], propertySchema);
+      if (fixed !== undefined) repaired[key] = fixed;
+    }
+    return repaired;
+  }
+
+  return value;
+}
+
+// Append a violation to the log, keeping the most recent entries
+function logViolation(entry) {
+  try {
+    const lines = fs.existsSync(VIOLATIONS_PATH)
+      ? fs.readFileSync(VIOLATIONS_PATH, 'utf8').split('\n').filter(Boolean)
+      : [];
+    lines.push(JSON.stringify({ at: new Date().toISOString(), ...entry }));
+    fs.writeFileSync(VIOLATIONS_PATH, lines.slice(-MAX_LOGGED_VIOLATIONS).join('\n') + '\n');
+  } catch (e) {
+    console.error(`    Could not log output violation: ${e.message}`);
+  }
+}
+
+/**
+ * Ask for a payload matching `schema` through a forced tool call.
+ * `create` sends a Messages API request (wrap it in your retry/rate-limit handling).
+ * Returns the validated (possibly repaired) tool input; throws once attempts run out.
+ */
+export async function callStructured({
+  create,
+  task,
+  model,
+  maxTokens,
+  system,
+  prompt,
+  schema,
+  toolName,
+  toolDescription,
+  maxAttempts = DEFAULT_ATTEMPTS
+}) {
+  const tool = { name: toolName, description: toolDescription, input_schema: schema };
+  const messages = [{ role: 'user', content: prompt }];
+  let tokens = maxTokens;
+  let problems = [];
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const response = await create({
+      model,
+      max_tokens: tokens,
+      ...(system && { system }),
+      messages,
+      tools: [tool],
+      tool_choice: { type: 'tool', name: toolName }
+    });
+
+    const toolUse = response.content.find(block => block.type === 'tool_use' && block.name === toolName);
+    const truncated = response.stop_reason === 'max_tokens';
+
+    if (!toolUse || truncated) {
+      problems = [truncated ? `response cut off at max_tokens (${tokens})` : `no ${toolName} call in the response`];
+      logViolation({ task, attempt, problems, repaired: false, stopReason: response.stop_reason, raw: response.content });
+      console.log(`    ⚠️ ${task}: ${problems[0]} (attempt ${attempt}/${maxAttempts})`);
+      if (truncated) tokens = Math.round(tokens * TRUNCATION_GROWTH);
+      continue;
+    }
+
+    problems = validateSchema(toolUse.input, schema);
+    if (problems.length === 0) {
+      return toolUse.input;
+    }
+
+    const repaired = coerceToSchema(toolUse.input, schema);
+    const remaining = validateSchema(repaired, schema);
+    logViolation({ task, attempt, problems, repaired: remaining.length === 0, stopReason: response.stop_reason, raw: response.content });
+    if (remaining.length === 0) {
+      console.log(`    ⚠️ ${task}: repaired ${problems.length} schema problem(s)`);
+      return repaired;
+    }
+
+    problems = remaining;
+    console.log(`    ⚠️ ${task}: ${problems.length} schema problem(s), e.g. ${problems[0]} (attempt ${attempt}/${maxAttempts})`);
+
+    // Show the model what was wrong and let it call the tool again
+    messages.push(
+      { role: 'assistant', content: response.content },
+      {
+        role: 'user',
+        content: [{
+          type: 'tool_result',
+          tool_use_id: toolUse.id,
+          is_error: true,
+          content: `The input did not match the schema:\n${problems.map(p => `- ${p}`).join('\n')}\nCall ${toolName} again with corrected input.`
+        }]
+      }
+    );
+  }
+
+  throw new Error(`${task}: no valid ${toolName} output after ${maxAttempts} attempts (${problems.join('; ')})`);
+}
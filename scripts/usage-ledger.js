@@ -0,0 +1,155 @@
+/**
+ * Token usage and cost ledger for model calls
+ *
+ * Every call that reaches the API is appended to data/llm-usage.jsonl:
+ *   { at, run, stage, model, inputTokens, outputTokens, costUsd }
+ * where run is the curation run's start time and stage is curate, write,
+ * fact-check or revise. Costs use the per-model prices in config/llm.json
+ * (pricing, USD per million tokens). Entries older than a year are dropped.
+ *
+ * The ledger also keeps the run's spend against runBudgetUsd, so curation can
+ * stop starting new work once the budget is gone.
+ *
+ * The ledger isn't committed (CI keeps it between runs in its cache).
+ *
+ * Spend per day and per stage:
+ *   npm run usage
+ *   node scripts/usage-ledger.js [--days 14]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadLlmConfig } from './llm-config.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const LEDGER_PATH = path.join(__dirname, '..', 'data', 'llm-usage.jsonl');
+
+const RETENTION_DAYS = 365;
+const DEFAULT_SUMMARY_DAYS = 14;
+
+export function loadLedger(ledgerPath = LEDGER_PATH) {
+  if (!fs.existsSync(ledgerPath)) return [];
+  return fs.readFileSync(ledgerPath, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => JSON.parse(line));
+}
+
+// Drop entries past the retention window
+export function pruneLedger(ledgerPath = LEDGER_PATH) {
+  const entries = loadLedger(ledgerPath);
+  const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const kept = entries.filter(entry => entry.at >= cutoff);
+  if (kept.length < entries.length) {
+    fs.writeFileSync(ledgerPath, kept.map(entry => JSON.stringify(entry)).join('\n') + (kept.length ? '\n' : ''));
+  }
+  return entries.length - kept.length;
+}
+
+// Cost of one call in USD; prices are per million tokens, with pricing.default for unlisted models
+export function estimateCost(model, usage, pricing) {
+  const price = pricing[model] || pricing.default;
+  if (!price) return 0;
+  return ((usage.input_tokens || 0) * price.inputPerMillion + (usage.output_tokens || 0) * price.outputPerMillion) / 1e6;
+}
+
+/**
+ * A ledger for one curation run.
+ *   run        - run id (its start time)
+ *   spentUsd   - already spent by this run (when resuming)
+ *   onSpend    - called with the new total after every call, e.g. to checkpoint it
+ * ledger.track(provider, stage) returns a provider that records each call it makes.
+ */
+export function createUsageLedger({ run, budgetUsd = Infinity, pricing = {}, spentUsd = 0, onSpend = () => {}, ledgerPath = LEDGER_PATH }) {
+  const ledger = {
+    spentUsd,
+    budgetUsd,
+    calls: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+
+    overBudget() {
+      return ledger.spentUsd >= budgetUsd;
+    },
+
+    track(provider, stage) {
+      // Replayed and stand-in responses cost nothing and don't belong in the ledger
+      if (!provider.rateLimited) return provider;
+
+      return {
+        ...provider,
+        createMessage: async (params) => {
+          const response = await provider.createMessage(params);
+          const usage = response.usage || {};
+          const costUsd = estimateCost(params.model, usage, pricing);
+          const entry = {
+            at: new Date().toISOString(),
+            run,
+            stage,
+            model: params.model,
+            inputTokens: usage.input_tokens || 0,
+            outputTokens: usage.output_tokens || 0,
+            costUsd: Math.round(costUsd * 1e6) / 1e6
+          };
+          fs.appendFileSync(ledgerPath, JSON.stringify(entry) + '\n');
+
+          ledger.calls++;
+          ledger.inputTokens += entry.inputTokens;
+          ledger.outputTokens += entry.outputTokens;
+          ledger.spentUsd += costUsd;
+          onSpend(ledger.spentUsd);
+          return response;
+        }
+      };
+    }
+  };
+  return ledger;
+}
+
+export const formatUsd = (amount) => `$${amount.toFixed(2)}`;
+
+// Totals per key (e.g. day or stage)
+function totalsBy(entries, keyOf) {
+  const totals = new Map();
+  for (const entry of entries) {
+    const key = keyOf(entry);
+    const total = totals.get(key) || { calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 };
+    total.calls++;
+    total.inputTokens += entry.inputTokens;
+    total.outputTokens += entry.outputTokens;
+    total.costUsd += entry.costUsd;
+    totals.set(key, total);
+  }
+  return [...totals.entries()].sort(([a], [b]) => a.localeCompare(b));
+}
+
+function printTable(title, rows) {
+  console.log(`${title}\n`);
+  console.log(`  ${''.padEnd(12)} ${'calls'.padStart(6)} ${'input'.padStart(10)} ${'output'.padStart(9)} ${'cost'.padStart(9)}`);
+  for (const [key, total] of rows) {
+    console.log(`  ${key.padEnd(12)} ${String(total.calls).padStart(6)} ${String(total.inputTokens).padStart(10)} ${String(total.outputTokens).padStart(9)} ${formatUsd(total.costUsd).padStart(9)}`);
+  }
+  console.log('');
+}
+
+// Run if called directly
+const isMainModule = process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1];
+if (isMainModule) {
+  const daysIndex = process.argv.indexOf('--days');
+  const days = daysIndex !== -1 ? Number(process.argv[daysIndex + 1]) : DEFAULT_SUMMARY_DAYS;
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+  const entries = loadLedger().filter(entry => entry.at.split('T')[0] >= cutoff);
+
+  if (entries.length === 0) {
+    console.log(`No model calls recorded in the last ${days} days (${LEDGER_PATH})`);
+  } else {
+    const { runBudgetUsd } = loadLlmConfig();
+    printTable(`Spend per day (last ${days} days)`, totalsBy(entries, entry => entry.at.split('T')[0]));
+    printTable('Spend per stage', totalsBy(entries, entry => entry.stage));
+
+    const runs = totalsBy(entries, entry => entry.run);
+    const average = runs.reduce((sum, [, total]) => sum + total.costUsd, 0) / runs.length;
+    console.log(`${runs.length} runs, ${formatUsd(average)} on average (budget ${formatUsd(runBudgetUsd)} per run)`);
+  }
+}
@@ -0,0 +1,230 @@
+/**
+ * Source adapters against saved responses (test/fixtures/adapters/)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { REPO_ROOT, FIXTURES_DIR } from './helpers/sandbox.js';
+import { getAdapter, ADAPTER_TYPES } from '../scripts/adapters/index.js';
+import { QUERY_STATS_PATH, remainingBudget } from '../scripts/newsapi-planner.js';
+
+const ADAPTER_FIXTURES = path.join(FIXTURES_DIR, 'adapters');
+const fixture = (name) => fs.readFileSync(path.join(ADAPTER_FIXTURES, name), 'utf8');
+
+const source = (overrides = {}) => ({ id: 'fixture', name: 'Fixture Source', url: 'https://feeds.example/', category: 'climate', ...overrides });
+
+// Every adapter produces the same normalized shape
+const NORMALIZED_FIELDS = ['title', 'link', 'description', 'pubDate', 'source', 'sourceId', 'sourceUrl', 'category'];
+function assertNormalized(items) {
+  for (const item of items) {
+    for (const field of NORMALIZED_FIELDS) {
+      assert.ok(field in item, `${item.title}: missing ${field}`);
+    }
+    assert.equal(item.sourceUrl, item.link);
+    assert.ok(item.pubDate === null || /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.000Z$/.test(item.pubDate), `${item.title}: pubDate ${item.pubDate}`);
+  }
+}
+
+test('rss: items with plain-text descriptions and dates normalized to UTC', async () => {
+  const items = await getAdapter('rss').parse(fixture('feed.rss.xml'), source());
+
+  assertNormalized(items);
+  assert.deepEqual(items[0], {
+    title: 'Seagrass meadows bounce back along the Norfolk coast',
+    link: 'https://goodnews.example/seagrass-meadows-bounce-back/?utm_source=rss',
+    description: 'Seagrass planted three years ago now covers 12 hectares.',
+    pubDate: '2026-10-14T07:30:00.000Z',
+    source: 'Fixture Source',
+    sourceId: 'fixture',
+    sourceUrl: 'https://goodnews.example/seagrass-meadows-bounce-back/?utm_source=rss',
+    category: 'climate'
+  });
+  assert.equal(items[1].pubDate, '2026-10-13T17:05:00.000Z');
+  // Unparseable dates count as missing
+  assert.equal(items[2].pubDate, null);
+});
+
+test('rss: fetchItems reads through ctx.fetchBody and applies the source limit', async () => {
+  const requested = [];
+  const fetchBody = async (key, url) => {
+    requested.push([key, url]);
+    return { body: fixture('feed.rss.xml'), status: 200, notModified: false };
+  };
+  const result = await getAdapter('rss').fetchItems(source({ limit: 2 }), { fetchBody });
+
+  assert.deepEqual(requested, [['fixture', 'https://feeds.example/']]);
+  assert.equal(result.status, 200);
+  assert.equal(result.notModified, false);
+  assert.deepEqual(result.items.map(item => item.title), ['Seagrass meadows bounce back along the Norfolk coast', 'Town library lends out 500 tools']);
+});
+
+test('atom: alternate links, decoded text and published-then-updated dates', () => {
+  const items = getAdapter('atom').parse(fixture('feed.atom.xml'), source({ category: 'science' }));
+
+  assertNormalized(items);
+  assert.deepEqual(items[0], {
+    title: 'Gene therapy restores hearing in children',
+    link: 'https://science.example/gene-therapy-hearing?a=1&b=2',
+    description: 'Five of six children in a trial gained "near-normal" hearing.',
+    pubDate: '2026-10-14T07:15:00.000Z',
+    source: 'Fixture Source',
+    sourceId: 'fixture',
+    sourceUrl: 'https://science.example/gene-therapy-hearing?a=1&b=2',
+    category: 'science',
+    author: 'Dr. Nia Okafor'
+  });
+  // No rel and no <published>: the only link, and <updated>
+  assert.equal(items[1].link, 'https://science.example/cheap-catalyst');
+  assert.equal(items[1].pubDate, '2026-10-13T16:45:00.000Z');
+  assert.equal(items[1].description, 'An iron-based catalyst made hydrogen for 1,000 hours.');
+  assert.equal(items[1].author, undefined);
+});
+
+test('jsonfeed: url or external_url, plain text from content_html with entities decoded, authors joined', () => {
+  const items = getAdapter('jsonfeed').parse(fixture('feed.json'), source({ category: 'wildlife' }));
+
+  assertNormalized(items);
+  assert.deepEqual(items[0], {
+    title: 'Beavers return to Cornwall’s rivers after 400 years',
+    link: 'https://wildlife.example/beavers-return-to-cornwall',
+    description: 'A family of five beavers was released on Saturday & is settling in.',
+    pubDate: '2026-10-12T12:00:00.000Z',
+    source: 'Fixture Source',
+    sourceId: 'fixture',
+    sourceUrl: 'https://wildlife.example/beavers-return-to-cornwall',
+    category: 'wildlife',
+    author: 'Robin Hale, Kit Marsh'
+  });
+  assert.equal(items[1].link, 'https://partner.example/white-storks-nest');
+  assert.equal(items[1].description, 'The first wild-hatched stork chicks in centuries have fledged — all four of them.');
+  assert.equal(items[1].pubDate, '2026-10-11T10:00:00.000Z');
+  assert.equal(items[1].author, 'Ada Fern');
+});
+
+test('reddit: link posts only, above minScore, dated from created_utc', () => {
+  const items = getAdapter('reddit').parse(fixture('reddit.json'), source({ category: 'people', minScore: 100 }));
+
+  assertNormalized(items);
+  assert.deepEqual(items, [{
+    title: 'Retired teacher has tutored 1,000 kids for free',
+    link: 'https://www.bbc.example/news/retired-teacher-tutors',
+    description: '',
+    pubDate: '2026-10-14T12:00:00.000Z',
+    source: 'Fixture Source',
+    sourceId: 'fixture',
+    sourceUrl: 'https://www.bbc.example/news/retired-teacher-tutors',
+    category: 'people',
+    outletDomain: 'bbc.example'
+  }]);
+
+  // Without minScore the low-voted link post gets through too; self, stickied and NSFW posts never do
+  const all = getAdapter('reddit').parse(fixture('reddit.json'), source());
+  assert.deepEqual(all.map(item => item.title), ['Retired teacher has tutored 1,000 kids for free', 'Low-voted link post']);
+});
+
+test('newsapi: outlet names as source, [Removed] items skipped, API errors thrown', () => {
+  const items = getAdapter('newsapi').parse(fixture('newsapi.json'), source({ category: 'climate' }));
+
+  assertNormalized(items);
+  assert.deepEqual(items[0], {
+    title: 'Greek island becomes first in Europe to ban single-use plastics',
+    link: 'https://www.guardian.example/environment/tilos-plastics',
+    description: 'Tilos has replaced plastic bags, bottles and straws with reusable alternatives.',
+    pubDate: '2026-10-14T06:00:00.000Z',
+    source: 'The Guardian',
+    sourceId: 'fixture',
+    sourceUrl: 'https://www.guardian.example/environment/tilos-plastics',
+    category: 'climate',
+    author: 'Helena Smith'
+  });
+  assert.equal(items.length, 2);
+  assert.equal(items[1].source, 'NewsAPI');
+  assert.equal(items[1].pubDate, null);
+
+  assert.throws(
+    () => getAdapter('newsapi').parse(JSON.stringify({ status: 'error', code: 'apiKeyInvalid', message: 'Your API key is invalid.' }), source()),
+    /Your API key is invalid/
+  );
+});
+
+test('inbox: JSON and Markdown releases, with the release text as sourceText', async () => {
+  const inbox = source({ type: 'inbox', path: path.relative(REPO_ROOT, path.join(ADAPTER_FIXTURES, 'inbox')), category: 'people' });
+  const { items } = await getAdapter('inbox').fetchItems(inbox);
+
+  assertNormalized(items);
+  // The untitled release is dropped
+  assert.equal(items.length, 2);
+  assert.deepEqual(items[0], {
+    title: 'Food bank opens second site',
+    link: 'https://foodbank.example/news/second-site',
+    description: 'The Leeds North food bank opens a second site in Chapeltown.',
+    pubDate: '2026-10-14T09:00:00.000Z',
+    source: 'Fixture Source',
+    sourceId: 'fixture',
+    sourceUrl: 'https://foodbank.example/news/second-site',
+    category: 'people',
+    sourceText: 'The Leeds North food bank opens a second site in Chapeltown on Monday.\n\nIt will be open five days a week and is staffed by 40 volunteers.'
+  });
+  // Markdown: title from the heading, header lines, and a per-release category
+  assert.equal(items[1].title, 'Riverside Primary goes fully solar');
+  assert.equal(items[1].link, 'https://riverside.example/news/solar');
+  assert.equal(items[1].pubDate, '2026-10-12T09:00:00.000Z');
+  assert.equal(items[1].category, 'science');
+  assert.match(items[1].sourceText, /^Riverside Primary School has become.*\n\nPupils helped choose where the 220 panels went\.$/s);
+});
+
+test('inbox: releases without a date use the file\'s modification time', () => {
+  const [item] = getAdapter('inbox').parse('Untitled day\n\nSome release text.', source(), 'note.txt', '2026-10-10T08:00:00.000Z');
+  assert.equal(item.title, 'Untitled day');
+  assert.equal(item.pubDate, '2026-10-10T08:00:00.000Z');
+  assert.equal(item.link, '');
+});
+
+test('getAdapter knows the six source types and rejects others', () => {
+  assert.deepEqual(ADAPTER_TYPES, ['rss', 'atom', 'jsonfeed', 'reddit', 'newsapi', 'inbox']);
+  assert.throws(() => getAdapter('gopher'), /Unknown source type "gopher"/);
+});
+
+test('newsapi: each query\'s items take its category, or the source\'s when it has none', async () => {
+  const newsapi = source({
+    type: 'newsapi',
+    category: 'general',
+    limit: 20,
+    maxPages: 1,
+    queries: [{ q: 'species recovery', category: 'wildlife' }, { q: 'good news' }]
+  });
+  const fetchBody = async () => ({ body: fixture('newsapi.json'), status: 200 });
+
+  process.env.NEWS_API_KEY_FIXTURE = 'test-key';
+  let result;
+  try {
+    // A replay leaves the query stats and request budget on disk alone
+    result = await getAdapter('newsapi').fetchItems({ ...newsapi, apiKeyEnv: 'NEWS_API_KEY_FIXTURE' }, { fetchBody, replayDate: '2026-10-14' });
+  } finally {
+    delete process.env.NEWS_API_KEY_FIXTURE;
+  }
+
+  const categories = (q) => result.items.filter(item => item.newsapiQuery === q).map(item => item.category);
+  assert.deepEqual(categories('species recovery'), ['wildlife', 'wildlife']);
+  assert.deepEqual(categories('good news'), ['general', 'general']);
+});
+
+test('newsapi: requests are recorded on the stats fetch-news.js passes in, and nothing is written', async () => {
+  const newsapi = source({ type: 'newsapi', limit: 20, maxPages: 1, dailyRequestBudget: 5, queries: [{ q: 'species recovery' }] });
+  const fetchBody = async () => ({ body: fixture('newsapi.json'), status: 200 });
+  const statsFile = () => fs.existsSync(QUERY_STATS_PATH) ? fs.statSync(QUERY_STATS_PATH).mtimeMs : null;
+  const before = statsFile();
+  const newsapiStats = { queries: {} };
+
+  process.env.NEWS_API_KEY_FIXTURE = 'test-key';
+  try {
+    await getAdapter('newsapi').fetchItems({ ...newsapi, apiKeyEnv: 'NEWS_API_KEY_FIXTURE' }, { fetchBody, newsapiStats });
+  } finally {
+    delete process.env.NEWS_API_KEY_FIXTURE;
+  }
+
+  assert.equal(remainingBudget(newsapiStats, 5), 4);
+  assert.equal(statsFile(), before);
+});
@@ -0,0 +1,60 @@
+/**
+ * URL canonicalization and page canonical links
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { FIXTURES_DIR } from './helpers/sandbox.js';
+import { canonicalizeUrl, extractCanonicalLink } from '../scripts/canonical-url.js';
+
+const pageWithCanonical = (href) => `<html><head><link rel="canonical" href="${href}"></head><body></body></html>`;
+
+test('variants of the same link canonicalize to one form', () => {
+  const canonical = 'https://example.com/story?id=7';
+  for (const link of [
+    'http://www.example.com/story/?id=7&utm_source=feed&utm_medium=rss',
+    'https://m.example.com/story?fbclid=abc&id=7#comments',
+    'https://example.com/amp/story?id=7',
+    'https://www-example-com.cdn.ampproject.org/c/s/www.example.com/story/amp?id=7'
+  ]) {
+    assert.equal(canonicalizeUrl(link), canonical, link);
+  }
+  assert.equal(canonicalizeUrl('mailto:news@example.com'), null);
+  assert.equal(canonicalizeUrl('not a url'), null);
+});
+
+test('a page\'s canonical link replaces the feed link', () => {
+  const html = fs.readFileSync(path.join(FIXTURES_DIR, 'pages', 'news-article.html'), 'utf8');
+  assert.equal(
+    extractCanonicalLink(html, 'https://www.coastaldaily.example/environment/seagrass-meadows-bounce-back/amp?utm_source=rss'),
+    'https://coastaldaily.example/environment/seagrass-meadows-bounce-back'
+  );
+  // Relative canonicals resolve against the page
+  assert.equal(extractCanonicalLink(pageWithCanonical('/story/42'), 'https://example.com/s?id=42'), 'https://example.com/story/42');
+});
+
+test('canonicals pointing at the site root are ignored, so stories are not merged into one', () => {
+  const storyA = extractCanonicalLink(pageWithCanonical('https://www.publisher.example/'), 'https://publisher.example/news/beavers-return');
+  const storyB = extractCanonicalLink(pageWithCanonical('https://publisher.example'), 'https://publisher.example/news/storks-nest');
+  assert.equal(storyA, null);
+  assert.equal(storyB, null);
+  assert.equal(extractCanonicalLink(pageWithCanonical('/'), 'https://publisher.example/news/storks-nest'), null);
+  // A homepage with a query string still names one page
+  assert.equal(extractCanonicalLink(pageWithCanonical('/?p=101'), 'https://publisher.example/?p=101&utm_source=rss'), 'https://publisher.example?p=101');
+});
+
+test('canonicals on a different host are ignored', () => {
+  assert.equal(extractCanonicalLink(pageWithCanonical('https://other.example/news/beavers-return'), 'https://publisher.example/news/beavers-return'), null);
+  // www., m. and amp. are the same host
+  assert.equal(
+    extractCanonicalLink(pageWithCanonical('https://www.publisher.example/news/beavers-return'), 'https://m.publisher.example/news/beavers-return'),
+    'https://publisher.example/news/beavers-return'
+  );
+});
+
+test('pages without a canonical link give null', () => {
+  assert.equal(extractCanonicalLink('<html><head><link rel="stylesheet" href="/a.css"></head></html>', 'https://example.com/a'), null);
+  assert.equal(extractCanonicalLink('', 'https://example.com/a'), null);
+});
@@ -0,0 +1,88 @@
+/**
+ * Per-category quotas when picking the top raw articles
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { selectWithQuotas } from '../scripts/category-quotas.js';
+
+// Best-first articles: `spec` is a string of category initials in score order
+const CATEGORIES = { c: 'climate', h: 'health', s: 'science', p: 'people', g: 'general' };
+function ranked(spec) {
+  return [...spec].map((initial, i) => ({ title: `${CATEGORIES[initial]} ${i + 1}`, category: CATEGORIES[initial] }));
+}
+const titles = (articles) => articles.map(article => article.title);
+
+test('each category gets its minimum, then the best of the rest up to each maximum', () => {
+  const articles = ranked('ggggggchhs');
+  const { selected, counts, shortfalls } = selectWithQuotas(articles, {
+    total: 6,
+    quotas: { general: { max: 3 }, climate: { min: 1 }, health: { min: 1 }, science: { min: 1 } }
+  });
+
+  assert.deepEqual(titles(selected), ['general 1', 'general 2', 'general 3', 'climate 7', 'health 8', 'science 10']);
+  assert.deepEqual(counts, { general: 3, climate: 1, health: 1, science: 1 });
+  assert.deepEqual(shortfalls, []);
+});
+
+test('reports categories that can\'t reach their minimum', () => {
+  const { selected, shortfalls } = selectWithQuotas(ranked('gggc'), { total: 4, quotas: { climate: { min: 2 }, people: { min: 1 } } });
+
+  assert.equal(selected.length, 4);
+  assert.deepEqual(shortfalls, [
+    { category: 'climate', min: 2, available: 1 },
+    { category: 'people', min: 1, available: 0 }
+  ]);
+});
+
+test('minimum picks survive the trim even when they rank below everything else', () => {
+  // General items outscore every guaranteed pick
+  const articles = ranked('ggggggggcchhss');
+  const { selected, counts } = selectWithQuotas(articles, {
+    total: 8,
+    quotas: { climate: { min: 2 }, health: { min: 2 }, science: { min: 2 } }
+  });
+
+  assert.equal(selected.length, 8);
+  assert.deepEqual(counts, { general: 2, climate: 2, health: 2, science: 2 });
+  assert.deepEqual(titles(selected), ['general 1', 'general 2', 'climate 9', 'climate 10', 'health 11', 'health 12', 'science 13', 'science 14']);
+});
+
+test('minimums adding up to more than the total are shared out, not cut from the lowest-scoring category', () => {
+  const articles = ranked('cccchhhhssss');
+  const { selected, counts } = selectWithQuotas(articles, {
+    total: 6,
+    quotas: { climate: { min: 4 }, health: { min: 4 }, science: { min: 4 } }
+  });
+
+  assert.equal(selected.length, 6);
+  assert.deepEqual(counts, { climate: 2, health: 2, science: 2 });
+  // Each keeps its best items, still in score order
+  assert.deepEqual(titles(selected), ['climate 1', 'climate 2', 'health 5', 'health 6', 'science 9', 'science 10']);
+});
+
+test('always-included articles are selected ahead of a full quota, whatever their score', () => {
+  // The lowest-scoring climate item is allowed by an editor rule; general items alone would fill the total
+  const articles = ranked('ggggggcc');
+  const allowed = articles[7];
+  const { selected, counts } = selectWithQuotas(articles, {
+    total: 4,
+    quotas: { general: { max: 4 }, climate: { min: 1, max: 1 } },
+    alwaysInclude: article => article === allowed
+  });
+
+  // It also fills climate's minimum and maximum, so the better climate item stays out
+  assert.deepEqual(titles(selected), ['general 1', 'general 2', 'general 3', 'climate 8']);
+  assert.deepEqual(counts, { general: 3, climate: 1 });
+});
+
+test('always-included articles are all kept, even beyond the total and over minimums that don\'t fit', () => {
+  const articles = ranked('gghhcc');
+  const { selected } = selectWithQuotas(articles, {
+    total: 2,
+    quotas: { health: { min: 2 } },
+    alwaysInclude: article => article.category === 'climate'
+  });
+
+  assert.deepEqual(titles(selected), ['climate 5', 'climate 6']);
+});
@@ -0,0 +1,167 @@
+/**
+ * Curation end to end with the local stand-in for Claude (--llm local):
+ * no API key, no network, no tokens. Runs in a sandbox copy of the repo.
+ */
+
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { createSandbox, offlineFetch, FIXTURES_DIR, REPO_ROOT } from './helpers/sandbox.js';
+
+const RAW_ARTICLES = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'raw-articles.json'), 'utf8'));
+
+let sandbox;
+let curation;
+let providers;
+let restoreFetch;
+
+before(async () => {
+  sandbox = createSandbox();
+  curation = await sandbox.importScript('curate-with-ai.js');
+  providers = await sandbox.importScript('llm-providers/scripted.js');
+  restoreFetch = offlineFetch();
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+after(() => {
+  restoreFetch();
+  mock.restoreAll();
+  sandbox.remove();
+});
+
+// A fresh run over the fixture, its source text stashed in the feed cache the way fetch-news.js leaves it
+beforeEach(async () => {
+  for (const file of ['curation-run.json', 'curated-articles.json']) {
+    fs.rmSync(sandbox.path('data', file), { force: true });
+  }
+  const { stashSourceTexts } = await sandbox.importScript('feed-cache.js');
+  sandbox.writeJson('data/raw-articles.json', stashSourceTexts(structuredClone(RAW_ARTICLES)));
+});
+
+const curated = () => sandbox.readJson('data/curated-articles.json');
+const byTitle = (articles, words) => articles.find(article => article.originalTitle.includes(words));
+
+// The local stand-in, with `change(params, response)` applied to each answer
+function wrappedLocalProvider(change) {
+  const local = providers.createLocalProvider();
+  return {
+    ...local,
+    async createMessage(params) {
+      return change(params, await local.createMessage(params));
+    }
+  };
+}
+
+const promptOf = (params) => params.messages[0].content;
+const isRevision = (params) => promptOf(params).includes('FACT-CHECK ISSUES:');
+const isArticleFor = (params, words) => params.tool_choice?.name === 'submit_article' && promptOf(params).includes(words);
+
+// Add a claim the source doesn't make to a written article
+function withInventedClaim(response) {
+  const block = response.content.find(b => b.type === 'tool_use');
+  block.input = { ...block.input, lead: `${block.input.lead} The project cost 12 billion dollars.` };
+  return response;
+}
+
+test('npm run curate -- --llm local writes, checks and saves every article offline', () => {
+  const run = spawnSync(process.execPath, ['--import', path.join(REPO_ROOT, 'test', 'helpers', 'offline.js'), 'scripts/curate-with-ai.js', '--llm', 'local'], {
+    cwd: sandbox.root,
+    encoding: 'utf8',
+    env: { ...process.env, ANTHROPIC_API_KEY: '', PEXELS_API_KEY: '' },
+    timeout: 120000
+  });
+  assert.equal(run.status, 0, run.stderr);
+
+  const { allArticles, homepage, sections } = curated();
+  assert.deepEqual(allArticles.map(article => article.originalTitle), RAW_ARTICLES.map(article => article.title));
+
+  for (const article of allArticles) {
+    assert.ok(article.slug && article.headline && article.excerpt, article.originalTitle);
+    assert.ok(article.author && article.authorId, `${article.originalTitle}: byline`);
+    assert.ok(article.imageUrl, `${article.originalTitle}: image`);
+    assert.ok(article.fullContent.lead, `${article.originalTitle}: written`);
+    assert.equal(article.factCheck.status, 'passed');
+    assert.equal(article.history.length, 1);
+    assert.equal(article.approved, undefined);
+    assert.equal(article.provenance.provider, 'local');
+    assert.deepEqual(Object.keys(article.provenance.prompts).sort(), ['article', 'curation', 'fact-check', 'system']);
+    // Source material never reaches the published data
+    assert.equal(article.sourceText, undefined);
+    assert.equal(article.sourceExcerpt, undefined);
+  }
+
+  // The full text from the feed cache was what got written from, not the feed's snippet
+  assert.match(byTitle(allArticles, 'Seagrass').fullContent.lead, /according to a survey published on Tuesday by the Norfolk Wildlife Trust/);
+  assert.equal(byTitle(allArticles, 'Seagrass').canonicalUrl, 'https://goodnews.example/seagrass-meadows-bounce-back');
+
+  assert.ok(homepage.hero.isHomepageHero);
+  assert.equal(homepage.featured.length, 3);
+  assert.deepEqual(sections.climate.map(article => article.originalTitle), ['Seagrass meadows bounce back along the Norfolk coast']);
+});
+
+test('a fact-checker that fails verifies nothing: every article is unverified and denied', async () => {
+  const provider = wrappedLocalProvider((params, response) => {
+    if (params.tool_choice?.name === 'submit_fact_check') {
+      throw Object.assign(new Error('fact-checker unavailable'), { status: 400 });
+    }
+    return response;
+  });
+  await curation.runCuration({ provider });
+
+  const { allArticles, homepage } = curated();
+  assert.equal(allArticles.length, RAW_ARTICLES.length);
+  for (const article of allArticles) {
+    assert.equal(article.factCheck.status, 'unverified');
+    assert.equal(article.factCheck.passed, false);
+    assert.match(article.factCheck.issues.join(' '), /fact-checker unavailable/);
+    assert.equal(article.factCheckFailed, true);
+    assert.equal(article.approved, false);
+    // Nothing unverified is revised
+    assert.equal(article.history.length, 1);
+  }
+  // No denied article stands in as the hero
+  assert.equal(homepage.hero, null);
+  assert.equal(homepage.noHeroReason, `None of the ${RAW_ARTICLES.length} written articles passed fact-checking`);
+  assert.deepEqual(homepage.featured, []);
+});
+
+test('an article that fails fact-checking is revised, re-checked and kept with every draft', async () => {
+  const provider = wrappedLocalProvider((params, response) => (
+    isArticleFor(params, 'Beavers return') && !isRevision(params) ? withInventedClaim(response) : response
+  ));
+  await curation.runCuration({ provider });
+
+  const beavers = byTitle(curated().allArticles, 'Beavers');
+  assert.equal(beavers.factCheck.status, 'passed');
+  assert.equal(beavers.approved, undefined);
+  assert.deepEqual(beavers.history.map(draft => [draft.draft, draft.factCheck.status]), [[1, 'failed'], [2, 'passed']]);
+  assert.match(beavers.history[0].factCheck.issues.join(' '), /12 billion dollars/);
+  assert.doesNotMatch(beavers.fullContent.lead, /12 billion dollars/);
+  assert.ok(beavers.provenance.prompts.revision);
+});
+
+test('an article still failing after maxRevisions revisions is denied', async () => {
+  const provider = wrappedLocalProvider((params, response) => (
+    isArticleFor(params, 'Beavers return') ? withInventedClaim(response) : response
+  ));
+  await curation.runCuration({ provider });
+
+  const { allArticles, homepage } = curated();
+  const beavers = byTitle(allArticles, 'Beavers');
+  const { maxRevisions } = JSON.parse(fs.readFileSync(sandbox.path('config', 'llm.json'), 'utf8'));
+
+  assert.equal(beavers.factCheck.status, 'failed');
+  assert.equal(beavers.factCheckFailed, true);
+  assert.equal(beavers.approved, false);
+  assert.equal(beavers.history.length, maxRevisions + 1);
+  assert.ok(beavers.history.every(draft => draft.factCheck.status === 'failed'));
+  assert.ok(!beavers.isHomepageHero && !beavers.isHomepageFeatured);
+
+  // The others are untouched
+  assert.ok(allArticles.filter(article => article !== beavers).every(article => article.factCheck.passed && article.approved === undefined));
+  assert.notEqual(homepage.hero.originalTitle, beavers.originalTitle);
+  assert.ok(!homepage.featured.some(article => article.originalTitle === beavers.originalTitle));
+});
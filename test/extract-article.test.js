@@ -0,0 +1,75 @@
+/**
+ * extractArticleText against saved source pages (test/fixtures/pages/)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { extractArticleText, decodeEntities, MAX_SOURCE_TEXT } from '../scripts/extract-article.js';
+
+const PAGES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'pages');
+const page = (name) => fs.readFileSync(path.join(PAGES_DIR, name), 'utf8');
+const paragraphs = (text) => text.split('\n\n');
+
+test('extracts the story paragraphs from an <article> page and drops the boilerplate', () => {
+  const text = extractArticleText(page('news-article.html'));
+
+  assert.deepEqual(paragraphs(text), [
+    'Seagrass meadows planted off the Norfolk coast three years ago have spread to cover more than 12 hectares, according to a survey published on Tuesday by the Norfolk Wildlife Trust.',
+    'Volunteers collected seeds by hand and planted them in hessian bags, a technique first tested in Wales. “We honestly didn’t expect it to take off this quickly,” said project lead Dr. Amira Khan.',
+    'The meadows now shelter juvenile bass and cuttlefish, and store carbon in the seabed at a rate of roughly 0.8 tonnes per hectare each year.'
+  ]);
+  assert.doesNotMatch(text, /newsletter|cookies|All rights reserved|Most read|Breaking|Related|Image credit/);
+});
+
+test('extracts a WordPress entry-content body, decoding entities', () => {
+  const text = extractArticleText(page('wordpress-post.html'));
+
+  assert.deepEqual(paragraphs(text), [
+    'The public library in Hebden Bridge lent out more than 500 tools in the first month of its new "library of things", from drills to pasta makers.',
+    'Librarian Joe Park said the most popular item was a carpet cleaner, borrowed 41 times — “more than any book this month”.',
+    'The scheme is funded by a £10,000 grant and a donation of tools from local residents & businesses.'
+  ]);
+  assert.doesNotMatch(text, /appeared first on|Share this article|Popular posts|Photo:/);
+});
+
+test('falls back to every paragraph when the page has no content container', () => {
+  const text = extractArticleText(page('no-container.html'));
+
+  assert.deepEqual(paragraphs(text), [
+    'Riverside Primary School has become the first school in the county to run entirely on solar power, after installing 220 panels over the summer.',
+    'Head teacher Lucy Moore said pupils helped choose where the panels went and now track the output on a screen in the hall.'
+  ]);
+});
+
+test('drops repeated paragraphs', () => {
+  const paragraph = 'Volunteers planted another row of native oak saplings along the river bank today.';
+  const html = `<article>${`<p>${paragraph}</p>`.repeat(3)}</article>`;
+
+  assert.equal(extractArticleText(html), paragraph);
+});
+
+test('caps long pages at MAX_SOURCE_TEXT, cutting at a word boundary', () => {
+  const rows = Array.from({ length: 400 }, (_, i) => `<p>Row ${i}: volunteers planted another row of native oak saplings along the river bank today.</p>`);
+  const text = extractArticleText(`<article>${rows.join('')}</article>`);
+
+  assert.ok(text.length <= MAX_SOURCE_TEXT + 1);
+  assert.ok(text.startsWith('Row 0: volunteers planted'));
+  assert.match(text, /\w…$/);
+});
+
+test('returns an empty string when there is nothing usable', () => {
+  assert.equal(extractArticleText(''), '');
+  assert.equal(extractArticleText(null), '');
+  assert.equal(extractArticleText('<html><body><p>Too short.</p><nav><p>A long navigation paragraph that is not part of any story at all.</p></nav></body></html>'), '');
+});
+
+test('decodeEntities handles named, decimal and hex entities and leaves unknown ones alone', () => {
+  assert.equal(decodeEntities('&amp; &#8220;hi&#8221; &#x2014; &pound;5 &bogus;'), '& “hi” — £5 &bogus;');
+});
+
+test('decodeEntities replaces numeric entities that are not characters instead of throwing', () => {
+  assert.equal(decodeEntities('a&#99999999;b &#x110000; &#xD800; &#0; &#128512;'), 'a�b � � � 😀');
+});
@@ -0,0 +1,105 @@
+/**
+ * Conditional fetching and the on-disk feed cache
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { createSandbox, stubFetch } from './helpers/sandbox.js';
+
+let sandbox;
+let feedCache;
+
+before(async () => {
+  sandbox = createSandbox();
+  feedCache = await sandbox.importScript('feed-cache.js');
+});
+
+after(() => sandbox.remove());
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('concurrent fetches keep every source\'s validators', async () => {
+  // Later keys answer sooner, so the fetches finish in the opposite order they started
+  const keys = ['one', 'two', 'three', 'four', 'five'];
+  const restore = stubFetch(async (url) => {
+    const index = keys.indexOf(new URL(url).pathname.slice(1));
+    await sleep((keys.length - index) * 10);
+    return new Response(`<rss>${url}</rss>`, { headers: { etag: `"etag-${keys[index]}"` } });
+  });
+
+  try {
+    await Promise.all(keys.map(key => feedCache.fetchWithCache(key, `https://feeds.example/${key}`)));
+  } finally {
+    restore();
+  }
+
+  const validators = sandbox.readJson('data/feed-cache/validators.json');
+  assert.deepEqual(Object.keys(validators).sort(), [...keys].sort());
+  for (const key of keys) {
+    assert.equal(validators[key].etag, `"etag-${key}"`);
+  }
+});
+
+test('a 304 reuses the cached body and sends the stored validators', async () => {
+  const sent = [];
+  const restore = stubFetch(async (url, init) => {
+    sent.push(init.headers);
+    return new Response(null, { status: 304 });
+  });
+
+  let result;
+  try {
+    result = await feedCache.fetchWithCache('two', 'https://feeds.example/two');
+  } finally {
+    restore();
+  }
+
+  assert.equal(sent[0]['If-None-Match'], '"etag-two"');
+  assert.deepEqual(result, { body: '<rss>https://feeds.example/two</rss>', status: 304, notModified: true });
+  assert.equal(sandbox.readJson('data/feed-cache/validators.json').one.etag, '"etag-one"');
+});
+
+test('source text is stashed in the cache and restored from it', () => {
+  const articles = [
+    { title: 'Seagrass returns', link: 'https://news.example/seagrass', sourceText: 'Seagrass meadows have spread to 12 hectares.' },
+    { title: 'Inbox release without a link', link: '', sourceText: 'The school now runs on solar power.' },
+    { title: 'Snippet only', link: 'https://news.example/snippet', description: 'Just the RSS summary.' }
+  ];
+
+  const saved = JSON.parse(JSON.stringify(feedCache.stashSourceTexts(articles)));
+  assert.ok(saved.every(article => !('sourceText' in article)));
+  assert.match(saved[0].sourceTextKey, /^[0-9a-f]{16}$/);
+  assert.notEqual(saved[0].sourceTextKey, saved[1].sourceTextKey);
+  assert.equal(saved[2].sourceTextKey, undefined);
+
+  assert.equal(feedCache.restoreSourceTexts(saved), 0);
+  assert.equal(saved[0].sourceText, 'Seagrass meadows have spread to 12 hectares.');
+  assert.equal(saved[1].sourceText, 'The school now runs on solar power.');
+  assert.equal(saved[2].sourceText, undefined);
+});
+
+test('restoring counts articles whose text is no longer cached', () => {
+  const articles = [{ title: 'Gone', link: 'https://news.example/gone', sourceTextKey: '0000000000000000' }];
+  assert.equal(feedCache.restoreSourceTexts(articles), 1);
+  assert.equal(articles[0].sourceText, undefined);
+});
+
+test('pruning drops validators whose cached day has been pruned', async () => {
+  const old = createSandbox();
+  try {
+    const recent = new Date().toISOString().split('T')[0];
+    fs.mkdirSync(old.path('data', 'feed-cache', '2020-01-01'), { recursive: true });
+    old.writeJson('data/feed-cache/validators.json', {
+      'page-0123456789abcdef': { date: '2020-01-01', etag: '"old-page"', checkedAt: '2020-01-01T06:00:00.000Z' },
+      'bbc-science': { date: recent, etag: '"fresh"', checkedAt: `${recent}T06:00:00.000Z` }
+    });
+
+    const { pruneFeedCache } = await old.importScript('feed-cache.js');
+    assert.equal(pruneFeedCache(), 1);
+
+    assert.deepEqual(Object.keys(old.readJson('data/feed-cache/validators.json')), ['bbc-science']);
+  } finally {
+    old.remove();
+  }
+});
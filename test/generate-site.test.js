@@ -0,0 +1,100 @@
+/**
+ * Site generation in a sandbox copy of the repo's pages: what ends up on the
+ * site from a published curated-articles.json.
+ */
+
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { createSandbox } from './helpers/sandbox.js';
+
+const PAGES = [
+  'index.html', 'climate.html', 'health.html', 'science.html', 'wildlife.html', 'people.html',
+  'cats.html', 'archive.html', 'mission.html', 'team.html', 'contact.html'
+];
+
+function article(slug, headline, overrides = {}) {
+  return {
+    slug,
+    headline,
+    excerpt: `${headline}, in brief.`,
+    category: 'climate',
+    author: 'Sunny Bright',
+    authorId: 'sunny-bright',
+    readTime: '3 min read',
+    imageUrl: 'https://images.example/photo.jpg?w=800',
+    sourceUrl: `https://news.example/${slug}`,
+    sourceName: 'News Example',
+    originalTitle: headline,
+    fullContent: { lead: `${headline}.`, body: ['A paragraph.'], pullQuote: null },
+    ...overrides
+  };
+}
+
+const APPROVED = article('seagrass-meadows-bounce-back', 'Seagrass Meadows Bounce Back', { approved: true });
+const DENIED = article('invented-miracle-battery', 'Invented Miracle Battery', {
+  approved: false,
+  factCheckFailed: true
+});
+const UNREVIEWED = article('wind-farm-powers-town', 'Wind Farm Powers Whole Town');
+
+let sandbox;
+let site;
+
+before(async () => {
+  sandbox = createSandbox({ copy: PAGES });
+  site = await sandbox.importScript('generate-site.js');
+  mock.method(console, 'log', () => {});
+});
+
+after(() => {
+  mock.restoreAll();
+  sandbox.remove();
+});
+
+test('a denied article is never generated, even when it is the chosen hero', async () => {
+  sandbox.writeJson('data/curated-articles.json', {
+    generatedAt: '2026-10-19T06:00:00.000Z',
+    autoPublished: true,
+    publishedAt: '2026-10-19T12:00:00.000Z',
+    homepage: { hero: DENIED, featured: [APPROVED, UNREVIEWED] },
+    sections: { climate: [DENIED, APPROVED, UNREVIEWED] },
+    allArticles: [DENIED, APPROVED, UNREVIEWED]
+  });
+
+  const result = await site.generateSite();
+  assert.equal(result.articlesGenerated, 2);
+
+  assert.ok(!fs.existsSync(sandbox.path('articles', `${DENIED.slug}.html`)));
+  assert.ok(fs.existsSync(sandbox.path('articles', `${APPROVED.slug}.html`)));
+  assert.ok(fs.existsSync(sandbox.path('articles', `${UNREVIEWED.slug}.html`)));
+
+  const archived = sandbox.readJson('data/article-archive.json').articles.map(a => a.slug);
+  assert.deepEqual(archived.sort(), [APPROVED.slug, UNREVIEWED.slug].sort());
+
+  for (const page of ['index.html', 'climate.html', 'authors/sunny-bright.html']) {
+    const html = fs.readFileSync(sandbox.path(page), 'utf8');
+    assert.ok(!html.includes(DENIED.slug), `${page} links the denied article`);
+    assert.ok(!html.includes(DENIED.headline), `${page} shows the denied article`);
+  }
+
+  // The hero falls to the next publishable article rather than staying as the denied one
+  const index = fs.readFileSync(sandbox.path('index.html'), 'utf8');
+  assert.match(index, new RegExp(`<a href="articles/${APPROVED.slug}\\.html" class="hero">`));
+});
+
+test('author pages are built in the same page shell as article pages', () => {
+  const read = file => fs.readFileSync(sandbox.path(file), 'utf8');
+  const articlePage = read(`articles/${APPROVED.slug}.html`);
+  const authorPage = read('authors/sunny-bright.html');
+
+  assert.match(authorPage, new RegExp(`href="\\.\\./articles/${APPROVED.slug}\\.html"`));
+
+  // Header, mobile menu and footer match line for line, apart from the article's section
+  // highlighted in the nav and the moment each page was written
+  const shell = (html, start) => [
+    html.slice(html.indexOf('<!-- Header -->'), html.indexOf(start)),
+    html.slice(html.indexOf('<!-- Footer -->'))
+  ].join('').replaceAll(' active"', '"').replace(/data-timestamp="[^"]+"/, 'data-timestamp=""');
+  assert.equal(shell(authorPage, '<!-- Author Hero -->'), shell(articlePage, '<!-- Article Hero -->'));
+});
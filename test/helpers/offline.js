@@ -0,0 +1,9 @@
+/**
+ * Preload for scripts run by tests (node --import ./test/helpers/offline.js):
+ * every network request fails straight away, so image checks and searches
+ * fall back without waiting on timeouts.
+ */
+
+import { offlineFetch } from './sandbox.js';
+
+offlineFetch();
@@ -0,0 +1,51 @@
+/**
+ * A throwaway copy of the repo for tests that run scripts writing to data/ or
+ * the site: scripts/ and config/ are copied into a temp directory (plus any
+ * extra root-relative paths), node_modules is linked, and data/ starts empty.
+ * Import the copied modules with sandbox.importScript() so their paths
+ * resolve inside the sandbox.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+export const REPO_ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+export const FIXTURES_DIR = path.join(REPO_ROOT, 'test', 'fixtures');
+
+export function createSandbox({ copy = [] } = {}) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'ntnc-test-'));
+  for (const entry of ['scripts', 'config', ...copy]) {
+    fs.cpSync(path.join(REPO_ROOT, entry), path.join(root, entry), { recursive: true });
+  }
+  fs.symlinkSync(path.join(REPO_ROOT, 'node_modules'), path.join(root, 'node_modules'), 'dir');
+  fs.writeFileSync(path.join(root, 'package.json'), '{ "type": "module" }\n');
+  fs.mkdirSync(path.join(root, 'data'));
+
+  return {
+    root,
+    path: (...parts) => path.join(root, ...parts),
+    importScript: (name) => import(pathToFileURL(path.join(root, 'scripts', name)).href),
+    writeJson: (file, value) => fs.writeFileSync(path.join(root, file), JSON.stringify(value, null, 2)),
+    readJson: (file) => JSON.parse(fs.readFileSync(path.join(root, file), 'utf8')),
+    remove: () => fs.rmSync(root, { recursive: true, force: true })
+  };
+}
+
+// Stand in for the network: `respond(url, init)` returns a Response (or throws).
+// Returns a function that puts the real fetch back.
+export function stubFetch(respond) {
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = async (url, init = {}) => respond(String(url), init);
+  return () => {
+    globalThis.fetch = realFetch;
+  };
+}
+
+// No network at all: every request fails straight away
+export function offlineFetch() {
+  return stubFetch(() => {
+    throw new TypeError('fetch failed (tests run offline)');
+  });
+}
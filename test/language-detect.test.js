@@ -0,0 +1,34 @@
+/**
+ * Offline language detection for feed items
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectLanguage } from '../scripts/language-detect.js';
+
+const language = (text) => detectLanguage(text).language;
+
+test('recognizes Latin-script languages from their function words', () => {
+  assert.equal(language('Las tortugas marinas vuelven a las playas de la costa'), 'es');
+  assert.equal(language('Les tortues marines reviennent sur les plages de la côte'), 'fr');
+  assert.equal(language('Die Wölfe kehren in den Schwarzwald zurück und sind nicht mehr selten'), 'de');
+  assert.equal(language('De wolf is terug in het bos en dat is goed nieuws voor de natuur'), 'nl');
+  assert.equal(language('Scientists say the river is cleaner than it has been in decades'), 'en');
+});
+
+test('recognizes non-Latin scripts from their characters', () => {
+  assert.equal(language('Морские черепахи возвращаются на пляжи'), 'ru');
+  assert.equal(language('海龟回到了海滩'), 'zh');
+});
+
+test('names made of function words do not make English headlines foreign', () => {
+  assert.equal(language('Los Angeles plans El Niño response. Las Vegas too'), null);
+  assert.equal(language('Van der Berg wins prize. De Vries and Van Dijk celebrate'), null);
+  assert.equal(language('La Paz and Des Moines join the Le Mans clean air pact with the other cities'), 'en');
+});
+
+test('text too short to call is undetermined', () => {
+  assert.equal(language('Seagrass meadows bounce back'), null);
+  assert.equal(language(''), null);
+  assert.deepEqual(detectLanguage('El Niño'), { language: null, confidence: 0 });
+});
@@ -0,0 +1,32 @@
+/**
+ * Notes shared by the review server and the review page
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findDuplicateSources, factCheckNote } from '../scripts/review-notes.js';
+
+test('flags sources already archived or shared within the batch', () => {
+  const archived = new Map([['https://news.example/otters', { slug: 'otters-return', publishedDate: '2026-10-12', headline: 'Otters Return' }]]);
+  const notes = findDuplicateSources([
+    { slug: 'otters-are-back', headline: 'Otters Are Back', canonicalUrl: 'https://news.example/otters' },
+    { slug: 'solar-record', headline: 'Solar Record', canonicalUrl: 'https://news.example/solar' },
+    { slug: 'solar-record-falls', headline: 'Solar Record Falls', canonicalUrl: 'https://news.example/solar' },
+    { slug: 'otters-return', headline: 'Otters Return', canonicalUrl: 'https://news.example/otters' }
+  ], { findArchived: url => archived.get(url) });
+
+  assert.deepEqual([...notes], [
+    [0, 'Source already published 2026-10-12: "Otters Return"'],
+    [2, 'Same source as "Solar Record"']
+  ]);
+});
+
+test('notes failed and unchecked fact-checks with escaped issues', () => {
+  assert.deepEqual(factCheckNote({ factCheck: { passed: true } }), { note: '', issues: '' });
+
+  const failed = factCheckNote({ factCheck: { passed: false, issues: ['Says <b>90%</b>'] }, history: [{}, {}] });
+  assert.match(failed.note, /Failed fact-check after 1 revision -/);
+  assert.match(failed.issues, /<li>Says &lt;b&gt;90%&lt;\/b&gt;<\/li>/);
+
+  assert.match(factCheckNote({ factCheck: { passed: false, status: 'unverified' } }).note, /Not fact-checked -/);
+});